@@ -0,0 +1,65 @@
+/**
+ * API Module
+ * Talks to the optional order backend (see server/)
+ */
+
+const Api = {
+    /**
+     * Check if a backend is configured
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Boolean(CONFIG.apiUrl);
+    },
+
+    /**
+     * Get the full URL for an API path, e.g. for links to documents
+     * @param {string} path - API path
+     * @returns {string} URL
+     */
+    url(path) {
+        return `${CONFIG.apiUrl.replace(/\/$/, '')}${path}`;
+    },
+
+    /**
+     * Send a request to the backend
+     * @param {string} path - API path, e.g. '/api/orders/KK_123'
+     * @param {Object} options - fetch options; `body` objects are sent as JSON
+     * @returns {Promise<Object>} Parsed JSON response
+     */
+    async request(path, options = {}) {
+        const init = { ...options, headers: { ...(options.headers || {}) } };
+        if (init.body && typeof init.body !== 'string') {
+            init.headers['Content-Type'] = 'application/json';
+            init.body = JSON.stringify(init.body);
+        }
+
+        const response = await fetch(this.url(path), init);
+        const data = await response.json().catch(() => ({}));
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Something went wrong, please try again');
+        }
+
+        return data;
+    },
+
+    /**
+     * GET request
+     * @param {string} path - API path
+     * @returns {Promise<Object>}
+     */
+    get(path) {
+        return this.request(path);
+    },
+
+    /**
+     * POST request
+     * @param {string} path - API path
+     * @param {Object} body - JSON body
+     * @returns {Promise<Object>}
+     */
+    post(path, body) {
+        return this.request(path, { method: 'POST', body: body });
+    }
+};
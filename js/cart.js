@@ -5,14 +5,86 @@
 
 const Cart = {
     STORAGE_KEY: 'kamelkross_cart',
+    PROMO_KEY: 'kamelkross_promo',
+    // Bump when the stored cart format changes, and add a step to `migrations`
+    SCHEMA_VERSION: 2,
+    // Most units of one variant per order (the order server enforces it too)
+    MAX_QUANTITY: 10,
     items: [],
+    changes: [],
+    promoCode: '',
+    destination: null,
+    listeners: {},
 
     /**
-     * Initialize cart from localStorage
+     * Initialize cart from localStorage and recheck it against the catalog
      */
     init() {
         this.load();
         this.updateCartCount();
+        this.revalidate();
+
+        // Recheck when a background refresh brings in a newer catalog
+        Products.onUpdate(() => this.reconcile());
+
+        // Pick up changes made in other tabs
+        window.addEventListener('storage', (e) => {
+            if (e.key === null || e.key === this.STORAGE_KEY || e.key === this.PROMO_KEY) {
+                this.sync();
+            }
+        });
+    },
+
+    /**
+     * Subscribe to cart events
+     * Events: added, removed, quantityChanged, cleared, promoChanged, revalidated,
+     * synced (changed in another tab), and change (after any of these)
+     * @param {string} event - Event name
+     * @param {Function} callback - Called with the event detail
+     * @returns {Function} Unsubscribe function
+     */
+    on(event, callback) {
+        (this.listeners[event] = this.listeners[event] || []).push(callback);
+        return () => this.off(event, callback);
+    },
+
+    /**
+     * Unsubscribe from cart events
+     * @param {string} event - Event name
+     * @param {Function} callback - Callback passed to on()
+     */
+    off(event, callback) {
+        this.listeners[event] = (this.listeners[event] || []).filter(cb => cb !== callback);
+    },
+
+    /**
+     * Notify subscribers of an event, followed by a `change` event
+     * @param {string} event - Event name
+     * @param {Object} detail - Event detail
+     */
+    emit(event, detail = {}) {
+        const notify = (name, data) => {
+            (this.listeners[name] || []).slice().forEach(callback => {
+                // A broken listener (e.g. analytics) shouldn't break the cart
+                try {
+                    callback(data);
+                } catch (error) {
+                    console.error(`Error in cart ${name} listener:`, error);
+                }
+            });
+        };
+
+        notify(event, detail);
+        notify('change', { ...detail, type: event });
+    },
+
+    /**
+     * Reload the cart after another tab changed it
+     */
+    sync() {
+        this.load();
+        this.updateCartCount();
+        this.emit('synced');
     },
 
     /**
@@ -21,11 +93,56 @@ const Cart = {
     load() {
         try {
             const saved = localStorage.getItem(this.STORAGE_KEY);
-            this.items = saved ? JSON.parse(saved) : [];
+            const data = this.migrate(saved ? JSON.parse(saved) : null);
+            this.items = data.items;
+            this.changes = data.changes;
+            this.promoCode = localStorage.getItem(this.PROMO_KEY) || '';
         } catch (error) {
             console.error('Error loading cart:', error);
             this.items = [];
+            this.changes = [];
+            this.promoCode = '';
+        }
+    },
+
+    /**
+     * Upgrade stored cart data to the current schema
+     * @param {Object|Array|null} data - Stored cart
+     * @returns {Object} { version, items, changes }
+     */
+    migrate(data) {
+        if (!data) {
+            return { version: this.SCHEMA_VERSION, items: [], changes: [] };
         }
+
+        // Version 1 stored a bare array of items
+        let migrated = Array.isArray(data) ? { version: 1, items: data } : data;
+
+        while (migrated.version < this.SCHEMA_VERSION) {
+            const step = this.migrations[migrated.version];
+            if (!step) {
+                throw new Error(`Unknown cart version ${migrated.version}`);
+            }
+            migrated = step(migrated);
+        }
+
+        return migrated;
+    },
+
+    /**
+     * Migration steps, keyed by the version they upgrade from
+     */
+    migrations: {
+        // 1 -> 2: items carry a weight for rule-based shipping instead of a flat shipping fee
+        1: data => ({
+            version: 2,
+            items: data.items.map(item => {
+                const migrated = { ...item, weight: item.weight || 0 };
+                delete migrated.shipping;
+                return migrated;
+            }),
+            changes: []
+        })
     },
 
     /**
@@ -33,7 +150,11 @@ const Cart = {
      */
     save() {
         try {
-            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(this.items));
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify({
+                version: this.SCHEMA_VERSION,
+                items: this.items,
+                changes: this.changes
+            }));
             this.updateCartCount();
         } catch (error) {
             console.error('Error saving cart:', error);
@@ -46,39 +167,216 @@ const Cart = {
      * @param {string} size - Selected size
      * @param {string} color - Selected color
      * @param {number} quantity - Quantity to add
-     * @returns {Object} Cart item
+     * @returns {Object|null} Cart item, or null if there isn't enough stock
      */
     add(product, size, color, quantity = 1) {
         // Check if item with same options exists
-        const existingIndex = this.items.findIndex(item =>
-            item.id === product.id &&
-            item.size === size &&
-            item.color === color
-        );
+        const existingIndex = this.findIndex(product.id, size, color);
+
+        // Refuse quantities beyond what's left of this variant
+        const inCart = existingIndex >= 0 ? this.items[existingIndex].quantity : 0;
+        const available = this.getLimit(product, size, color);
+
+        if (inCart + quantity > available) {
+            const remaining = Math.max(0, available - inCart);
+            const variant = `${product.name} (${size} / ${color})`;
+            let message = I18n.t('cart.soldOut', { variant: variant });
+            if (remaining > 0) {
+                message = I18n.t('cart.onlyMore', { count: remaining, variant: variant });
+            } else if (inCart > 0) {
+                message = I18n.t('cart.allInCart', { variant: variant });
+            }
+            UI.toast(message, 'error');
+            return null;
+        }
 
         if (existingIndex >= 0) {
             // Update quantity
             this.items[existingIndex].quantity += quantity;
         } else {
             // Add new item
-            const cartItem = {
-                id: product.id,
-                name: product.name,
-                price: product.price,
-                shipping: product.shipping || 0,
-                image: product.image,
-                size: size,
-                color: color,
-                quantity: quantity,
-                category: product.category
-            };
-            this.items.push(cartItem);
+            this.items.push(this.createItem(product, size, color, quantity));
         }
 
+        const item = this.items[existingIndex >= 0 ? existingIndex : this.items.length - 1];
+
+        // UI opens the mini cart (or shows a toast) from the added event
         this.save();
-        UI.toast(`${product.name} added to cart`, 'success');
+        this.emit('added', { item: item, quantity: quantity });
 
-        return this.items[existingIndex >= 0 ? existingIndex : this.items.length - 1];
+        return item;
+    },
+
+    /**
+     * Get the most units of a variant a cart can hold: its stock, up to MAX_QUANTITY
+     * @param {Object} product - Product object
+     * @param {string} size - Size
+     * @param {string} color - Color
+     * @returns {number} Units
+     */
+    getLimit(product, size, color) {
+        return Math.min(this.MAX_QUANTITY, Products.getStock(product, size, color));
+    },
+
+    /**
+     * Build a cart line from a product
+     * Name, price, weight and image are copied so the cart renders without the catalog;
+     * revalidate() refreshes them. Variants from the variants sheet set the SKU, price
+     * and image; other products have an empty SKU.
+     * @param {Object} product - Product object
+     * @param {string} size - Size
+     * @param {string} color - Color
+     * @param {number} quantity - Quantity
+     * @returns {Object} Cart item
+     */
+    createItem(product, size, color, quantity) {
+        const variant = Products.getVariant(product, size, color);
+
+        return {
+            id: product.id,
+            sku: variant ? variant.sku : '',
+            name: product.name,
+            price: Products.getPrice(Products.applyVariant(product, variant)),
+            weight: product.weight || 0,
+            image: Products.getImages(product, size, color)[0] || product.image,
+            size: size,
+            color: color,
+            quantity: quantity,
+            category: product.category,
+            taxClass: Tax.getClass(product)
+        };
+    },
+
+    /**
+     * Recheck the cart against the live catalog
+     * @returns {Promise<Array>} Changes made (see reconcile)
+     */
+    async revalidate() {
+        await Products.fetch();
+        return this.reconcile();
+    },
+
+    /**
+     * Bring cart lines in line with the loaded catalog
+     * Removed products, discontinued options and sold out variants are taken out,
+     * quantities are capped at stock and prices updated. Changes are kept in
+     * `changes` until the cart page shows them (see takeChanges).
+     * @returns {Array} New changes: { type, name, size, color, ... }
+     */
+    reconcile() {
+        // Without a catalog we can't tell what changed, so leave the cart alone
+        if (!Products.loaded) return [];
+
+        const changes = [];
+        const items = [];
+
+        this.items.forEach(item => {
+            const product = Products.getById(item.id);
+            const change = { name: item.name, size: item.size, color: item.color };
+
+            if (!product) {
+                changes.push({ ...change, type: 'removed' });
+                return;
+            }
+
+            if (!Products.hasVariant(product, item.size, item.color)) {
+                changes.push({ ...change, type: 'discontinued' });
+                return;
+            }
+
+            const available = this.getLimit(product, item.size, item.color);
+            if (available <= 0) {
+                changes.push({ ...change, type: 'soldOut' });
+                return;
+            }
+
+            const updated = this.createItem(product, item.size, item.color, Math.min(item.quantity, available));
+
+            if (updated.quantity < item.quantity) {
+                changes.push({ ...change, type: 'quantityReduced', quantity: updated.quantity });
+            }
+
+            if (updated.price !== item.price) {
+                changes.push({ ...change, type: 'priceChanged', oldPrice: item.price, newPrice: updated.price });
+            }
+
+            items.push(updated);
+        });
+
+        if (changes.length > 0 || JSON.stringify(items) !== JSON.stringify(this.items)) {
+            this.items = items;
+            this.changes = this.changes.concat(changes);
+            this.save();
+            this.emit('revalidated', { changes: changes });
+        }
+
+        return changes;
+    },
+
+    /**
+     * Get changes from revalidation that haven't been shown yet, and mark them shown
+     * @returns {Array} Changes
+     */
+    takeChanges() {
+        const changes = this.changes;
+        if (changes.length > 0) {
+            this.changes = [];
+            this.save();
+        }
+        return changes;
+    },
+
+    /**
+     * Describe a revalidation change for the customer
+     * @param {Object} change - Change from reconcile
+     * @returns {string} Message
+     */
+    describeChange(change) {
+        const variant = `${change.name} (${change.size} / ${change.color})`;
+
+        switch (change.type) {
+            case 'removed':
+            case 'discontinued':
+            case 'soldOut':
+                return I18n.t(`cart.change.${change.type}`, { variant: variant });
+            case 'quantityReduced':
+                return I18n.t('cart.change.quantityReduced', { count: change.quantity, variant: variant });
+            case 'priceChanged':
+                return I18n.t('cart.change.priceChanged', {
+                    variant: variant,
+                    oldPrice: Products.formatPrice(change.oldPrice),
+                    newPrice: Products.formatPrice(change.newPrice)
+                });
+            default:
+                return I18n.t('cart.change.updated', { variant: variant });
+        }
+    },
+
+    /**
+     * Find the cart index of a product variant
+     * @param {string} id - Product ID
+     * @param {string} size - Size
+     * @param {string} color - Color
+     * @returns {number} Item index or -1
+     */
+    findIndex(id, size, color) {
+        return this.items.findIndex(item =>
+            item.id === id &&
+            item.size === size &&
+            item.color === color
+        );
+    },
+
+    /**
+     * Get quantity of a product variant already in the cart
+     * @param {string} id - Product ID
+     * @param {string} size - Size
+     * @param {string} color - Color
+     * @returns {number} Quantity in cart
+     */
+    getQuantityInCart(id, size, color) {
+        const index = this.findIndex(id, size, color);
+        return index >= 0 ? this.items[index].quantity : 0;
     },
 
     /**
@@ -90,7 +388,8 @@ const Cart = {
             const item = this.items[index];
             this.items.splice(index, 1);
             this.save();
-            UI.toast(`${item.name} removed from cart`, 'success');
+            UI.toast(I18n.t('cart.removed', { name: item.name }), 'success');
+            this.emit('removed', { item: item });
         }
     },
 
@@ -101,11 +400,22 @@ const Cart = {
      */
     updateQuantity(index, quantity) {
         if (index >= 0 && index < this.items.length) {
+            const item = this.items[index];
+            const product = Products.getById(item.id);
+            const available = product ? this.getLimit(product, item.size, item.color) : this.MAX_QUANTITY;
+
             if (quantity <= 0) {
                 this.remove(index);
+            } else if (quantity > item.quantity && quantity > available) {
+                UI.toast(I18n.t('cart.onlyAvailable', {
+                    count: available,
+                    variant: `${item.name} (${item.size} / ${item.color})`
+                }), 'error');
             } else {
-                this.items[index].quantity = quantity;
+                const previous = item.quantity;
+                item.quantity = quantity;
                 this.save();
+                this.emit('quantityChanged', { item: item, quantity: quantity, previous: previous });
             }
         }
     },
@@ -115,7 +425,57 @@ const Cart = {
      */
     clear() {
         this.items = [];
+        this.promoCode = '';
+        localStorage.removeItem(this.PROMO_KEY);
         this.save();
+        this.emit('cleared');
+    },
+
+    /**
+     * Apply a discount code to the cart
+     * @param {string} code - Discount code
+     * @returns {string} Error message, or empty string if applied
+     */
+    applyPromoCode(code) {
+        const rule = Promotions.getByCode(code);
+        if (!rule) {
+            return I18n.t('cart.invalidCode');
+        }
+
+        const reason = Promotions.checkEligibility(rule, this.items);
+        if (reason) {
+            return reason;
+        }
+
+        this.promoCode = rule.code;
+        localStorage.setItem(this.PROMO_KEY, this.promoCode);
+        this.emit('promoChanged', { code: this.promoCode });
+        return '';
+    },
+
+    /**
+     * Remove the applied discount code
+     */
+    removePromoCode() {
+        this.promoCode = '';
+        localStorage.removeItem(this.PROMO_KEY);
+        this.emit('promoChanged', { code: '' });
+    },
+
+    /**
+     * Calculate discounts from the applied code and automatic promotions
+     * @returns {Object} { discount, freeShipping, applied, error }
+     */
+    getPromotionResult() {
+        return Promotions.calculate(this.items, this.promoCode);
+    },
+
+    /**
+     * Calculate discount total
+     * @returns {number} Discount amount
+     */
+    getDiscount() {
+        return this.getPromotionResult().discount;
     },
 
     /**
@@ -134,20 +494,63 @@ const Cart = {
         return this.items.reduce((total, item) => total + (item.price * item.quantity), 0);
     },
 
+    /**
+     * Set the delivery address used for shipping
+     * @param {Object|null} destination - { state, city }
+     */
+    setDestination(destination) {
+        this.destination = destination;
+    },
+
+    /**
+     * Get the shipping quote for the current cart and destination
+     * @returns {Object} Shipping quote
+     */
+    getShippingQuote() {
+        return Shipping.calculate(this.items, this.destination, this.getSubtotal() - this.getDiscount());
+    },
+
     /**
      * Calculate shipping total
      * @returns {number} Shipping amount
      */
     getShipping() {
-        return this.items.reduce((total, item) => total + (item.shipping * item.quantity), 0);
+        if (this.getPromotionResult().freeShipping) return 0;
+        return this.getShippingQuote().cost;
     },
 
     /**
-     * Calculate grand total
+     * Work out the order amounts in a currency
+     * Item prices are converted first and the rest follows from them, so the
+     * summary always adds up to the total Paystack charges.
+     * @param {string} currency - Currency code (default: the shopper's)
+     * @returns {Object} { currency, items, subtotal, discount, shipping, tax, total }
+     */
+    getTotals(currency = Currency.getCode()) {
+        const items = this.items.map(item => ({ ...item, price: Currency.convertPrice(item.price, currency) }));
+        const subtotal = Currency.round(items.reduce((total, item) => total + (item.price * item.quantity), 0), currency);
+        const discount = Math.min(Currency.convert(this.getDiscount(), currency), subtotal);
+        const shipping = Currency.convert(this.getShipping(), currency);
+        const tax = Tax.calculate(items, discount, shipping);
+
+        return {
+            currency: currency,
+            items: items,
+            subtotal: subtotal,
+            discount: discount,
+            shipping: shipping,
+            tax: tax,
+            total: Currency.round(subtotal - discount + shipping + (tax.included ? 0 : tax.amount), currency)
+        };
+    },
+
+    /**
+     * Calculate grand total (what Paystack charges)
+     * @param {string} currency - Currency code (default: the shopper's)
      * @returns {number} Total amount
      */
-    getTotal() {
-        return this.getSubtotal() + this.getShipping();
+    getTotal(currency) {
+        return this.getTotals(currency).total;
     },
 
     /**
@@ -171,25 +574,36 @@ const Cart = {
     },
 
     /**
-     * Prepare order data for Paystack
+     * Prepare order data for Paystack, with amounts in the currency it charges
      * @param {Object} customerInfo - Customer details
+     * @param {string} currency - Currency code (default: see Currency.getCheckoutCode)
      * @returns {Object} Order metadata
      */
-    prepareOrderData(customerInfo) {
+    prepareOrderData(customerInfo, currency = Currency.getCheckoutCode()) {
+        const promotions = this.getPromotionResult();
+        const totals = this.getTotals(currency);
+
         return {
             customer: customerInfo,
-            items: this.items.map(item => ({
+            items: totals.items.map(item => ({
                 id: item.id,
+                sku: item.sku || '',
                 name: item.name,
                 size: item.size,
                 color: item.color,
                 quantity: item.quantity,
                 price: item.price
             })),
-            subtotal: this.getSubtotal(),
-            shipping: this.getShipping(),
-            total: this.getTotal(),
-            currency: CONFIG.store.currency,
+            subtotal: totals.subtotal,
+            discount: totals.discount,
+            promoCode: promotions.applied.some(p => p.code === this.promoCode) ? this.promoCode : '',
+            promotions: promotions.applied.map(p => p.label),
+            shipping: totals.shipping,
+            shippingZone: this.getShippingQuote().zone,
+            tax: totals.tax,
+            total: totals.total,
+            currency: currency,
+            exchangeRate: Currency.getRate(currency),
             timestamp: new Date().toISOString()
         };
     },
@@ -198,15 +612,15 @@ const Cart = {
      * Render cart item HTML
      * @param {Object} item - Cart item
      * @param {number} index - Item index
-     * @returns {string} HTML string
+     * @returns {Object} Safe HTML (see Html.html)
      */
     renderItem(item, index) {
-        const imageUrl = Products.convertGoogleDriveUrl(item.image);
+        const imageUrl = Products.convertGoogleDriveUrl(item.image, 200);
 
-        return `
+        return Html.html`
             <div class="cart-item" data-index="${index}">
                 <div class="cart-item-image">
-                    <img src="${imageUrl}" alt="${item.name}">
+                    <img src="${Html.url(imageUrl)}" alt="${item.name}">
                 </div>
                 <div class="cart-item-details">
                     <h3>${item.name}</h3>
@@ -214,11 +628,11 @@ const Cart = {
                     <p class="cart-item-price">${Products.formatPrice(item.price)}</p>
                 </div>
                 <div class="cart-item-actions">
-                    <button class="cart-item-remove" onclick="CartPage.removeItem(${index})">Remove</button>
+                    <button class="cart-item-remove" onclick="Cart.remove(${index})">${I18n.t('cart.remove')}</button>
                     <div class="quantity-selector">
-                        <button class="quantity-btn" onclick="CartPage.updateQuantity(${index}, ${item.quantity - 1})">-</button>
+                        <button class="quantity-btn" onclick="Cart.updateQuantity(${index}, ${item.quantity - 1})">-</button>
                         <span class="quantity-value">${item.quantity}</span>
-                        <button class="quantity-btn" onclick="CartPage.updateQuantity(${index}, ${item.quantity + 1})">+</button>
+                        <button class="quantity-btn" onclick="Cart.updateQuantity(${index}, ${item.quantity + 1})">+</button>
                     </div>
                 </div>
             </div>
@@ -228,22 +642,23 @@ const Cart = {
     /**
      * Render order item for checkout summary
      * @param {Object} item - Cart item
-     * @returns {string} HTML string
+     * @param {string} currency - Currency code (default: the shopper's)
+     * @returns {Object} Safe HTML (see Html.html)
      */
-    renderOrderItem(item) {
-        const imageUrl = Products.convertGoogleDriveUrl(item.image);
+    renderOrderItem(item, currency = Currency.getCode()) {
+        const imageUrl = Products.convertGoogleDriveUrl(item.image, 200);
 
-        return `
+        return Html.html`
             <div class="order-item">
                 <div class="order-item-image">
-                    <img src="${imageUrl}" alt="${item.name}">
+                    <img src="${Html.url(imageUrl)}" alt="${item.name}">
                     <span class="order-item-qty">${item.quantity}</span>
                 </div>
                 <div class="order-item-info">
                     <h4>${item.name}</h4>
                     <p>${item.size} / ${item.color}</p>
                 </div>
-                <span class="order-item-price">${Products.formatPrice(item.price * item.quantity)}</span>
+                <span class="order-item-price">${Currency.format(Currency.convertPrice(item.price, currency) * item.quantity, currency)}</span>
             </div>
         `;
     }
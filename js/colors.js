@@ -0,0 +1,154 @@
+/**
+ * Colors Module
+ * Swatch colors for product options, from config or Google Sheets
+ */
+
+const Colors = {
+    definitions: {},
+    loaded: false,
+
+    /**
+     * Load color definitions from config and the optional colors sheet
+     * Sheet rows override config entries with the same name.
+     * @returns {Promise<Object>} Definitions keyed by lowercase name
+     */
+    async fetch() {
+        if (this.loaded) {
+            return this.definitions;
+        }
+
+        Object.entries(CONFIG.colors || {}).forEach(([name, value]) => {
+            this.define(name, typeof value === 'string' ? { hex: value } : value);
+        });
+
+        if (CONFIG.colorsSheetCSV) {
+            try {
+                const rows = await CSV.fetch(CONFIG.colorsSheetCSV);
+                this.parseRows(rows);
+            } catch (error) {
+                console.error('Error fetching colors:', error);
+            }
+        }
+
+        this.loaded = true;
+
+        return this.definitions;
+    },
+
+    /**
+     * Read color definitions from parsed sheet rows
+     * Columns: name, hex (e.g. #1a237e, or #000000/#ffffff for multi-tone), image
+     * @param {Array<Array<string>>} rows - Parsed CSV rows, header first
+     */
+    parseRows(rows) {
+        if (rows.length < 2) return;
+
+        const headers = rows[0].map(h => CSV.normalizeHeader(h));
+
+        rows.slice(1).forEach(values => {
+            if (CSV.isBlankRow(values)) return;
+
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = (values[index] || '').trim();
+            });
+
+            if (row.name) {
+                this.define(row.name, row);
+            }
+        });
+    },
+
+    /**
+     * Add or replace a color definition
+     * Invalid hex values are ignored so a typo falls back rather than breaking the swatch.
+     * @param {string} name - Color name as used in the product sheet
+     * @param {Object} definition - { hex, image }
+     */
+    define(name, definition) {
+        const tones = String(definition.hex || '').split('/').map(hex => hex.trim()).filter(Boolean);
+        const valid = tones.every(hex => /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.test(hex));
+
+        if (!valid) {
+            console.warn(`Color "${name}": "${definition.hex}" is not a hex color (use #RRGGBB)`);
+        }
+
+        this.definitions[name.trim().toLowerCase()] = {
+            tones: valid ? tones : [],
+            image: definition.image ? Html.url(Products.convertGoogleDriveUrl(definition.image)) : ''
+        };
+    },
+
+    /**
+     * Work out how to draw a color
+     * Names without a definition are split on "/" into tones (so "Forest/Cream" is
+     * two-tone), and single words fall back to the browser's own CSS color names.
+     * @param {string} name - Color name
+     * @returns {Object|null} { tones: [css colors], image } or null if unknown
+     */
+    resolve(name) {
+        const key = String(name || '').trim().toLowerCase();
+        const definition = this.definitions[key];
+
+        if (definition && (definition.image || definition.tones.length > 0)) {
+            return definition;
+        }
+
+        const parts = key.split('/').map(part => part.trim()).filter(Boolean);
+        if (parts.length > 1) {
+            const tones = parts.map(part => this.resolve(part));
+            if (tones.every(tone => tone && tone.tones.length === 1)) {
+                return { tones: tones.map(tone => tone.tones[0]), image: '' };
+            }
+            return null;
+        }
+
+        if (/^[a-z]+$/.test(key) && typeof CSS !== 'undefined' && CSS.supports('color', key)) {
+            return { tones: [key], image: '' };
+        }
+
+        return null;
+    },
+
+    /**
+     * Get the CSS background for a swatch
+     * Multi-tone colors get hard-edged diagonal stripes, one per tone.
+     * @param {string} name - Color name
+     * @returns {string} CSS background value, empty if the color is unknown
+     */
+    getBackground(name) {
+        const color = this.resolve(name);
+        if (!color) return '';
+
+        if (color.image) {
+            const url = color.image.replace(/[\n\r\f]/g, '').replace(/["\\]/g, '\\$&');
+            return `center / cover url("${url}")`;
+        }
+
+        if (color.tones.length === 1) {
+            return color.tones[0];
+        }
+
+        const stop = i => Math.round(i * 10000 / color.tones.length) / 100;
+        const stops = color.tones.map((tone, i) => `${tone} ${stop(i)}% ${stop(i + 1)}%`);
+        return `linear-gradient(135deg, ${stops.join(', ')})`;
+    },
+
+    /**
+     * Render a small swatch for product cards
+     * Unknown colors show their initial instead of a misleading grey.
+     * @param {string} name - Color name
+     * @returns {Object} Safe HTML (see Html.html)
+     */
+    renderSwatch(name) {
+        const background = this.getBackground(name);
+
+        return Html.html`
+            <li class="card-swatch ${background ? '' : 'unknown'}" title="${name}"
+                style="${background ? `background: ${background}` : ''}">
+                ${!background && Html.html`<span aria-hidden="true">${name.charAt(0)}</span>`}
+                <span class="visually-hidden">${name}</span>
+            </li>
+        `;
+    }
+};
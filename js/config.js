@@ -8,10 +8,17 @@ const CONFIG = {
     store: {
         name: 'Kamel Kross',
         tagline: 'No Easy Path',
-        currency: 'ZAR',
-        currencySymbol: 'R'
+        currency: 'ZAR',            // Currency prices, shipping and discounts are set in
+        currencySymbol: 'R',
+
+        // Shown on invoices
+        legalName: '',          // Registered business name, if different from the store name
+        address: ''             // e.g. '12 Long Street, Cape Town, 8001'
     },
 
+    // Invoice numbers look like INV-000042 (numbered by the order server, see SETUP.md)
+    invoicePrefix: 'INV-',
+
     // Google Sheets Configuration
     // To get your sheet URL:
     // 1. Create a Google Sheet with the required columns
@@ -20,12 +27,216 @@ const CONFIG = {
     // 4. Copy the URL and paste it below
     googleSheetCSV: 'YOUR_GOOGLE_SHEET_CSV_URL_HERE',
 
+    // Optional variants sheet, published the same way: one row per size/color with
+    // product_id, sku, size, color, price, compare_at_price, images, stock.
+    // Leave empty if sizes and colors don't need their own SKU, price or photos.
+    variantsSheetCSV: '',
+
+    // How long (ms) a visitor's cached catalog is used before it's refreshed in the
+    // background. The cached copy still shows instantly while refreshing.
+    catalogCacheTTL: 5 * 60 * 1000,
+
+    // Show sample products instead of the sheet (for previewing the design only).
+    // Never leave this on in production: customers could buy demo products.
+    demoMode: false,
+
+    // Swatch colors for the color names used in the product sheet.
+    // Use a hex value, several hex values separated by "/" for multi-tone, or
+    // { image: 'URL' } for patterns like camo. Two-tone names such as "Navy/White"
+    // are drawn from their parts automatically, and plain CSS color names work too.
+    colors: {
+        'Black': '#000000',
+        'White': '#FFFFFF',
+        'Navy': '#1a237e',
+        'Grey': '#757575',
+        'Gray': '#757575',
+        'Khaki': '#c3b091',
+        'Olive': '#556b2f',
+        'Red': '#e53935',
+        'Blue': '#1976d2',
+        'Green': '#388e3c',
+        'Yellow': '#fdd835',
+        'Orange': '#fb8c00',
+        'Purple': '#7b1fa2',
+        'Pink': '#e91e63',
+        'Brown': '#795548',
+        'Sand': '#c2b280',
+        'Forest': '#228b22',
+        'Cream': '#fffdd0'
+    },
+
+    // Optional colors sheet, published the same way (columns: name, hex, image).
+    // Rows override the colors above.
+    colorsSheetCSV: '',
+
+    // Size Charts
+    // One chart per category (or per product, named in the sheet's size_chart column).
+    // Measurements are in cm: a number, or [min, max] for a range. `columns` sets the
+    // table headings. The "Find my size" tool on product pages compares a customer's
+    // chest (and optionally height) with the `chest` and `height` ranges.
+    sizeCharts: {
+        'T-Shirts': {
+            title: 'T-Shirts',
+            note: 'Our t-shirts have a regular fit. If you prefer a looser fit, we recommend sizing up.',
+            columns: { chest: 'Chest', length: 'Length', sleeve: 'Sleeve', height: 'Your Height' },
+            rows: [
+                { size: 'S', chest: [96, 101], length: 71, sleeve: 20, height: [160, 170] },
+                { size: 'M', chest: [101, 106], length: 74, sleeve: 21, height: [168, 178] },
+                { size: 'L', chest: [106, 111], length: 76, sleeve: 22, height: [175, 185] },
+                { size: 'XL', chest: [111, 116], length: 79, sleeve: 23, height: [180, 190] },
+                { size: 'XXL', chest: [116, 122], length: 81, sleeve: 24, height: [185, 195] }
+            ]
+        },
+        'Caps': {
+            title: 'Caps',
+            note: 'Our caps are designed to fit most head sizes comfortably.',
+            sizeLabel: 'Style',
+            columns: { head: 'Head Circumference', closure: 'Closure' },
+            rows: [
+                { size: 'Snapback', head: [54, 62], closure: 'Adjustable' },
+                { size: 'Dad Cap', head: [54, 60], closure: 'Adjustable Strap' },
+                { size: 'Trucker', head: [54, 62], closure: 'Snapback Closure' }
+            ]
+        }
+    },
+
+    // Shipping
+    // One fee per order: the zone's flat rate plus a surcharge for heavier parcels.
+    // Orders to a main centre ship free over the threshold.
+    shipping: {
+        freeShippingThreshold: 1000,
+        freeShippingZones: ['mainCentre'],
+
+        zones: {
+            mainCentre: { label: 'Major cities', rate: 50, deliveryTime: '2-4 business days' },
+            outlying: { label: 'Other areas', rate: 95, deliveryTime: '4-7 business days' }
+        },
+
+        // Cities (matched against the checkout city) that count as main centres, per province
+        mainCentres: {
+            'Gauteng': ['Johannesburg', 'Pretoria', 'Sandton', 'Midrand', 'Centurion', 'Randburg', 'Roodepoort', 'Soweto'],
+            'Western Cape': ['Cape Town', 'Bellville', 'Durbanville', 'Stellenbosch'],
+            'KwaZulu-Natal': ['Durban', 'Umhlanga', 'Pinetown', 'Pietermaritzburg'],
+            'Eastern Cape': ['Gqeberha', 'Port Elizabeth', 'East London'],
+            'Free State': ['Bloemfontein']
+        },
+
+        // Parcel weight in kg (from the sheet's `weight` column, or defaultWeight per item)
+        defaultWeight: 0.3,
+        weightTiers: [
+            { upTo: 2, add: 0 },
+            { upTo: 5, add: 40 },
+            { upTo: 10, add: 90 },
+            { upTo: null, add: 150 }
+        ]
+    },
+
+    // Languages
+    // Shoppers can switch between these in the header (strings are in js/messages.js).
+    // New visitors get the first of their browser's languages listed here, else
+    // `defaultLanguage`. `locale` is used for dates and plurals.
+    defaultLanguage: 'en',
+    languages: {
+        en: { label: 'English', locale: 'en-ZA' },
+        af: { label: 'Afrikaans', locale: 'af-ZA' },
+        zu: { label: 'isiZulu', locale: 'zu-ZA' }
+    },
+
+    // Currencies
+    // Shoppers can switch between these in the header. `rate` is units per 1 ZAR
+    // (keep it up to date, or use the rates sheet below); converted prices are
+    // rounded to `roundTo` (0 for cents). Checkout charges in the shopper's currency
+    // when `checkout` is true, otherwise in ZAR. Only turn it on once the currency
+    // is enabled on your Paystack account, or those payments will fail.
+    currencies: {
+        ZAR: { rate: 1, locale: 'en-ZA', roundTo: 0, checkout: true },
+        NGN: { rate: 85, locale: 'en-NG', roundTo: 50, checkout: false },
+        GHS: { rate: 0.65, locale: 'en-GH', roundTo: 1, checkout: false },
+        KES: { rate: 7.2, locale: 'en-KE', roundTo: 5, checkout: false }
+    },
+
+    // Optional published sheet with `code` and `rate` columns, overriding the rates above
+    exchangeRatesSheetCSV: '',
+
+    // Tax
+    // Products are taxed by their sheet's `tax_class` column, else their category's
+    // class below, else 'standard'. Set every rate to 0 if you're not VAT registered.
+    tax: {
+        label: 'VAT',
+        pricesIncludeTax: true,     // Sheet prices already include VAT
+        vatNumber: '',              // VAT registration number; invoices become tax invoices once set
+        classes: {
+            standard: 0.15,
+            zero: 0,                // Zero-rated
+            exempt: 0
+        },
+        categoryClasses: {
+            // 'Gift Cards': 'exempt'
+        },
+        shippingClass: 'standard'
+    },
+
+    // Promotions
+    // Discount codes and automatic promotions. Leave `code` empty for a
+    // promotion that applies automatically whenever the cart qualifies.
+    // Types: 'percentage', 'fixed', 'free_shipping', 'bogo'
+    // Optional: min_spend, min_quantity, category, starts, expires (YYYY-MM-DD),
+    // buy/get (for bogo), description
+    promotions: [
+        // { code: 'LAUNCH10', type: 'percentage', value: 10, expires: '2025-12-31' },
+        // { code: 'FREESHIP', type: 'free_shipping', min_spend: 800 },
+        // { code: '', type: 'percentage', value: 10, category: 'Caps', min_quantity: 2, description: 'Buy 2 caps, get 10% off' },
+        // { code: '', type: 'bogo', buy: 1, get: 1, category: 'T-Shirts' }
+    ],
+
+    // Optional second published sheet with the same columns as above
+    // (code, type, value, min_spend, min_quantity, category, starts, expires, buy, get, description, active)
+    promotionsSheetCSV: '',
+
     // Paystack Configuration
     // Get your public key from: https://dashboard.paystack.com/#/settings/developer
     paystack: {
         publicKey: 'pk_test_xxxxxxxxxxxxxxxxxxxxxxxx'
     },
 
+    // Order Backend (optional, see server/)
+    // Set to the server's URL (e.g. 'http://localhost:3000') to price orders and
+    // verify Paystack payments server-side. Leave empty for static hosting.
+    apiUrl: '',
+
+    // Order Tracking (optional, for track.html without the order server)
+    // A published sheet with columns: reference, status (paid, packed, shipped,
+    // delivered or cancelled), courier, tracking_number, tracking_url, updated, note
+    // and optionally email. With apiUrl set, orders are looked up on the server instead.
+    orderStatusSheetCSV: '',
+
+    // Courier tracking links, used when an order has a tracking number but no
+    // tracking_url. {tracking} is replaced with the tracking number.
+    couriers: {
+        // 'Courier Name': 'https://courier.example/track?waybill={tracking}'
+    },
+
+    // Returns & Exchanges (returns.html, needs apiUrl)
+    // windowDays: days after delivery to start a return
+    // nonReturnableCategories: categories that can't be returned or exchanged
+    // address: where customers send returns (shown with their return number)
+    // Products marked yes in the sheet's final_sale column can't be returned either.
+    returns: {
+        windowDays: 14,
+        nonReturnableCategories: [],
+        address: ''
+    },
+
+    // Contact Form
+    // adapter: 'api' sends messages to the order server (apiUrl), 'formspree' posts
+    // them to endpoint (e.g. 'https://formspree.io/f/xxxxxxxx'), 'mailto' opens the
+    // visitor's email app addressed to contact.email. Leave empty to use the order
+    // server when apiUrl is set and mailto otherwise.
+    contactForm: {
+        adapter: '',
+        endpoint: ''
+    },
+
     // Contact Information
     contact: {
         email: 'hello@kamelkross.com',
@@ -0,0 +1,255 @@
+/**
+ * Contact Module
+ * Contact form validation, spam checks and delivery. The order server loads
+ * this file too, so both sides validate messages with the same rules.
+ */
+
+const Contact = {
+    SUBJECTS: {
+        order: 'Order Inquiry',
+        product: 'Product Question',
+        return: 'Returns & Exchanges',
+        shipping: 'Shipping',
+        other: 'Other'
+    },
+    MAX_LENGTHS: {
+        name: 100,
+        email: 200,
+        orderReference: 40,
+        message: 5000
+    },
+    // Hidden field people never see; bots that fill every input give themselves away
+    HONEYPOT_FIELD: 'website',
+    // At most this many messages per window, per browser and per IP on the server
+    RATE_LIMIT: {
+        max: 3,
+        window: 10 * 60 * 1000
+    },
+    STORAGE_KEY: 'kamelkross_contact',
+
+    /**
+     * Trim form values and drop anything that isn't a contact field
+     * @param {Object} data - Raw form values
+     * @returns {Object} { name, email, subject, orderReference, message }
+     */
+    clean(data) {
+        const value = field => String((data && data[field]) || '').trim();
+
+        return {
+            name: value('name'),
+            email: value('email'),
+            subject: value('subject'),
+            orderReference: UI.normalizeOrderReference(value('orderReference')),
+            message: value('message')
+        };
+    },
+
+    /**
+     * Validate a cleaned message
+     * @param {Object} message - Message from clean()
+     * @returns {Object} Error messages keyed by field, empty when valid
+     */
+    validate(message) {
+        const errors = {};
+
+        if (!message.name) {
+            errors.name = I18n.t('contact.nameRequired');
+        }
+
+        if (!message.email) {
+            errors.email = I18n.t('contact.emailRequired');
+        } else if (!UI.isValidEmail(message.email)) {
+            errors.email = I18n.t('checkout.invalidEmail');
+        }
+
+        if (!this.SUBJECTS[message.subject]) {
+            errors.subject = I18n.t('contact.subjectRequired');
+        }
+
+        if (message.orderReference && !UI.isValidOrderReference(message.orderReference)) {
+            errors.orderReference = I18n.t('contact.invalidReference');
+        }
+
+        if (!message.message) {
+            errors.message = I18n.t('contact.messageRequired');
+        }
+
+        Object.entries(this.MAX_LENGTHS).forEach(([field, max]) => {
+            if (!errors[field] && message[field].length > max) {
+                errors[field] = I18n.t('contact.tooLong', { max: max });
+            }
+        });
+
+        return errors;
+    },
+
+    /**
+     * Check if the honeypot field was filled in
+     * @param {Object} data - Raw form values
+     * @returns {boolean}
+     */
+    isSpam(data) {
+        return Boolean(data && String(data[this.HONEYPOT_FIELD] || '').trim());
+    },
+
+    /**
+     * Drop timestamps that have left the rate limit window
+     * @param {Array<number>} sent - Send times (ms)
+     * @param {number} now - Current time (ms)
+     * @returns {Array<number>} Send times still in the window
+     */
+    recentSends(sent, now = Date.now()) {
+        return sent.filter(time => now - time < this.RATE_LIMIT.window);
+    },
+
+    /**
+     * Minutes until another message can be sent
+     * @param {Array<number>} sent - Send times still in the window
+     * @param {number} now - Current time (ms)
+     * @returns {number} Minutes to wait, 0 if a message can be sent now
+     */
+    getWaitMinutes(sent, now = Date.now()) {
+        if (sent.length < this.RATE_LIMIT.max) return 0;
+
+        const oldest = Math.min(...sent);
+        return Math.max(1, Math.ceil((oldest + this.RATE_LIMIT.window - now) / 60000));
+    },
+
+    /**
+     * Error message for a sender who has hit the rate limit
+     * @param {number} minutes - Minutes to wait
+     * @returns {string} Message
+     */
+    getRateLimitMessage(minutes) {
+        return I18n.t('contact.rateLimit', { count: minutes });
+    },
+
+    /**
+     * Get this browser's recent send times
+     * @returns {Array<number>} Send times still in the window
+     */
+    getSent() {
+        try {
+            const sent = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return Array.isArray(sent) ? this.recentSends(sent) : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Remember that this browser sent a message
+     */
+    recordSent() {
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify([...this.getSent(), Date.now()]));
+        } catch (error) {
+            console.error('Error saving contact history:', error);
+        }
+    },
+
+    /**
+     * Get the configured delivery adapter
+     * Defaults to the order server when one is set up, and mailto otherwise.
+     * @returns {string} Adapter name (a key of Contact.adapters)
+     */
+    getAdapter() {
+        const adapter = (CONFIG.contactForm && CONFIG.contactForm.adapter) || (Api.isEnabled() ? 'api' : 'mailto');
+
+        if (!this.adapters[adapter]) {
+            console.warn(`Unknown contact form adapter "${adapter}", using mailto`);
+            return 'mailto';
+        }
+
+        return adapter;
+    },
+
+    /**
+     * Ways of delivering a message. Each returns the success text to show.
+     */
+    adapters: {
+        /**
+         * POST to the order server's /api/contact (see server/)
+         * The honeypot goes along so the server can drop spam too.
+         * @param {Object} message - Cleaned message
+         * @param {Object} data - Raw form values
+         * @returns {Promise<string>} Success text
+         */
+        async api(message, data) {
+            await Api.post('/api/contact', { ...message, [Contact.HONEYPOT_FIELD]: data[Contact.HONEYPOT_FIELD] || '' });
+            return I18n.t('contact.thanksReply');
+        },
+
+        /**
+         * POST JSON to a form service such as Formspree (CONFIG.contactForm.endpoint)
+         * @param {Object} message - Cleaned message
+         * @returns {Promise<string>} Success text
+         */
+        async formspree(message) {
+            const endpoint = CONFIG.contactForm && CONFIG.contactForm.endpoint;
+            if (!endpoint) {
+                throw new Error(I18n.t('contact.notSetUp'));
+            }
+
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+                body: JSON.stringify({
+                    ...message,
+                    subject: Contact.SUBJECTS[message.subject],
+                    _replyto: message.email
+                })
+            });
+
+            if (!response.ok) {
+                const data = await response.json().catch(() => ({}));
+                const errors = Array.isArray(data.errors) ? data.errors.map(error => error.message).join(', ') : '';
+                throw new Error(errors || I18n.t('contact.sendFailed'));
+            }
+
+            return I18n.t('contact.thanksReply');
+        },
+
+        /**
+         * Open the visitor's email app with the message filled in
+         * @param {Object} message - Cleaned message
+         * @returns {Promise<string>} Success text
+         */
+        async mailto(message) {
+            const subject = `${Contact.SUBJECTS[message.subject]}${message.orderReference ? ` (${message.orderReference})` : ''}`;
+            const body = `${message.message}\n\n${message.name}\n${message.email}`;
+
+            window.location.href = `mailto:${CONFIG.contact.email}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+            return I18n.t('contact.mailto', { email: CONFIG.contact.email });
+        }
+    },
+
+    /**
+     * Validate and deliver a message from the contact form
+     * Honeypot submissions are dropped but look successful, so bots don't retry.
+     * @param {Object} data - Raw form values
+     * @returns {Promise<Object>} { ok: true, message } or { ok: false, errors } for field errors
+     */
+    async send(data) {
+        const message = this.clean(data);
+        const errors = this.validate(message);
+
+        if (Object.keys(errors).length > 0) {
+            return { ok: false, errors: errors };
+        }
+
+        const wait = this.getWaitMinutes(this.getSent());
+        if (wait > 0) {
+            throw new Error(this.getRateLimitMessage(wait));
+        }
+
+        if (this.isSpam(data)) {
+            return { ok: true, message: I18n.t('contact.thanks') };
+        }
+
+        const success = await this.adapters[this.getAdapter()](message, data);
+        this.recordSent();
+
+        return { ok: true, message: success };
+    }
+};
@@ -0,0 +1,164 @@
+/**
+ * CSV Module
+ * RFC 4180 parser for published Google Sheets, usable on whole strings or streamed chunks
+ */
+
+const CSV = {
+    /**
+     * Create an incremental parser
+     * Handles quoted fields containing commas and line breaks, "" escaped quotes,
+     * CRLF/LF/CR line endings and a leading byte order mark.
+     * @param {Function} onRow - Called with each completed row (array of strings)
+     * @returns {Object} { push(chunk), end() }
+     */
+    createParser(onRow) {
+        let field = '';
+        let row = [];
+        let inQuotes = false;
+        let quoteInQuotes = false; // Saw `"` inside quotes; the next character decides if it was escaped
+        let afterCR = false;
+        let atStart = true;
+        let fieldQuoted = false;
+
+        const endField = () => {
+            row.push(field);
+            field = '';
+            fieldQuoted = false;
+        };
+
+        const endRow = () => {
+            endField();
+            onRow(row);
+            row = [];
+        };
+
+        const consume = (char) => {
+            if (atStart) {
+                atStart = false;
+                if (char === '\uFEFF') return;
+            }
+
+            if (inQuotes) {
+                if (quoteInQuotes) {
+                    quoteInQuotes = false;
+                    if (char === '"') {
+                        field += '"';
+                        return;
+                    }
+                    // The quote closed the field; handle this character normally
+                    inQuotes = false;
+                } else if (char === '"') {
+                    quoteInQuotes = true;
+                    return;
+                } else {
+                    field += char;
+                    return;
+                }
+            }
+
+            if (afterCR) {
+                afterCR = false;
+                if (char === '\n') return;
+            }
+
+            if (char === '"' && field === '' && !fieldQuoted) {
+                inQuotes = true;
+                fieldQuoted = true;
+            } else if (char === ',') {
+                endField();
+            } else if (char === '\r') {
+                afterCR = true;
+                endRow();
+            } else if (char === '\n') {
+                endRow();
+            } else {
+                field += char;
+            }
+        };
+
+        return {
+            /**
+             * Feed the next chunk of text
+             * @param {string} chunk - Text chunk
+             */
+            push(chunk) {
+                for (let i = 0; i < chunk.length; i++) {
+                    consume(chunk[i]);
+                }
+            },
+
+            /**
+             * Flush the final row (files don't always end with a line break)
+             */
+            end() {
+                inQuotes = false;
+                quoteInQuotes = false;
+                if (field !== '' || fieldQuoted || row.length > 0) {
+                    endRow();
+                }
+            }
+        };
+    },
+
+    /**
+     * Parse CSV text into rows
+     * @param {string} text - CSV text
+     * @returns {Array<Array<string>>} Rows of field values
+     */
+    parse(text) {
+        const rows = [];
+        const parser = this.createParser(row => rows.push(row));
+        parser.push(text);
+        parser.end();
+        return rows;
+    },
+
+    /**
+     * Fetch and parse a CSV file, parsing as the response streams in
+     * @param {string} url - CSV URL
+     * @returns {Promise<Array<Array<string>>>} Rows of field values
+     */
+    async fetch(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to fetch ${url}`);
+        }
+
+        if (!response.body || typeof TextDecoder === 'undefined') {
+            return this.parse(await response.text());
+        }
+
+        const rows = [];
+        const parser = this.createParser(row => rows.push(row));
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            parser.push(decoder.decode(value, { stream: true }));
+        }
+
+        parser.push(decoder.decode());
+        parser.end();
+        return rows;
+    },
+
+    /**
+     * Normalize a header cell into a field name ("In Stock" -> "in_stock")
+     * @param {string} header - Header cell
+     * @returns {string} Field name
+     */
+    normalizeHeader(header) {
+        return header.toLowerCase().trim().replace(/\s+/g, '_');
+    },
+
+    /**
+     * Check if a row has no values (sheets export blank rows as ",,,")
+     * @param {Array<string>} row - Row values
+     * @returns {boolean}
+     */
+    isBlankRow(row) {
+        return row.every(value => !value.trim());
+    }
+};
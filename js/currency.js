@@ -0,0 +1,259 @@
+/**
+ * Currency Module
+ * Shows prices in the shopper's chosen currency. Prices, shipping and discounts
+ * are set in the store currency (CONFIG.store.currency) and converted with the
+ * rates in CONFIG.currencies or the optional exchange rates sheet.
+ */
+
+const Currency = {
+    STORAGE_KEY: 'kamelkross_currency',
+    rates: {},
+    loaded: false,
+    request: null,
+    selected: null,
+    formatters: new Map(),
+
+    /**
+     * Load exchange rates from the optional sheet (columns: code, rate)
+     * Rates in the sheet replace the ones in CONFIG.currencies. UI.init starts this
+     * on every page; pages that show prices straight away wait for the same request.
+     * @returns {Promise<Object>} Rates keyed by currency code
+     */
+    fetch() {
+        if (!this.request) {
+            this.request = (async () => {
+                if (CONFIG.exchangeRatesSheetCSV) {
+                    try {
+                        this.rates = this.parseRows(await CSV.fetch(CONFIG.exchangeRatesSheetCSV));
+                    } catch (error) {
+                        console.error('Error fetching exchange rates:', error);
+                    }
+                }
+
+                this.loaded = true;
+                return this.rates;
+            })();
+        }
+        return this.request;
+    },
+
+    /**
+     * Read rates from parsed sheet rows
+     * @param {Array<Array<string>>} rows - Parsed CSV rows, header first
+     * @returns {Object} Rates keyed by currency code
+     */
+    parseRows(rows) {
+        const rates = {};
+        if (rows.length < 2) return rates;
+
+        const headers = rows[0].map(h => CSV.normalizeHeader(h));
+        const codeIndex = headers.indexOf('code');
+        const rateIndex = headers.indexOf('rate');
+
+        rows.slice(1).forEach(values => {
+            if (CSV.isBlankRow(values)) return;
+
+            const code = String(values[codeIndex] || '').trim().toUpperCase();
+            const rate = Products.parseNumber(String(values[rateIndex] || '').trim());
+            if (this.isAvailable(code) && rate > 0) {
+                rates[code] = rate;
+            }
+        });
+
+        return rates;
+    },
+
+    /**
+     * Get the store currency prices are set in
+     * @returns {string} Currency code
+     */
+    getBase() {
+        return CONFIG.store.currency;
+    },
+
+    /**
+     * Check if a currency is set up in CONFIG.currencies
+     * @param {string} code - Currency code
+     * @returns {boolean}
+     */
+    isAvailable(code) {
+        return Object.prototype.hasOwnProperty.call(CONFIG.currencies, code);
+    },
+
+    /**
+     * Get a currency's settings
+     * @param {string} code - Currency code
+     * @returns {Object} { rate, locale, roundTo, checkout }
+     */
+    getSettings(code) {
+        return CONFIG.currencies[code] || CONFIG.currencies[this.getBase()];
+    },
+
+    /**
+     * Get the shopper's currency (saved in localStorage)
+     * @returns {string} Currency code
+     */
+    getCode() {
+        if (!this.selected) {
+            let saved = null;
+            try {
+                saved = localStorage.getItem(this.STORAGE_KEY);
+            } catch (error) {
+                // Storage can be unavailable (e.g. private browsing)
+            }
+            this.selected = saved && this.isAvailable(saved) ? saved : this.getBase();
+        }
+        return this.selected;
+    },
+
+    /**
+     * Change the shopper's currency
+     * @param {string} code - Currency code
+     */
+    setCode(code) {
+        if (!this.isAvailable(code)) return;
+
+        this.selected = code;
+        try {
+            localStorage.setItem(this.STORAGE_KEY, code);
+        } catch (error) {
+            console.error('Error saving currency:', error);
+        }
+    },
+
+    /**
+     * Check if Paystack can charge in a currency
+     * (the currency must also be enabled on your Paystack account)
+     * @param {string} code - Currency code
+     * @returns {boolean}
+     */
+    canCharge(code) {
+        return this.isAvailable(code) && this.getSettings(code).checkout !== false;
+    },
+
+    /**
+     * Get the currency checkout charges in: the shopper's, or the store's when
+     * Paystack can't charge in theirs
+     * @returns {string} Currency code
+     */
+    getCheckoutCode() {
+        return this.canCharge(this.getCode()) ? this.getCode() : this.getBase();
+    },
+
+    /**
+     * Get the exchange rate from the store currency
+     * @param {string} code - Currency code
+     * @returns {number} Units of `code` per unit of the store currency
+     */
+    getRate(code) {
+        if (code === this.getBase()) return 1;
+        return this.rates[code] || this.getSettings(code).rate;
+    },
+
+    /**
+     * Get how many decimal places a currency's amounts have
+     * @param {string} code - Currency code
+     * @returns {number} Digits, e.g. 2 for cents
+     */
+    getDigits(code) {
+        return this.getFormatter(code).resolvedOptions().maximumFractionDigits;
+    },
+
+    /**
+     * Round an amount to a currency's smallest unit
+     * @param {number} amount - Amount
+     * @param {string} code - Currency code
+     * @returns {number} Rounded amount
+     */
+    round(amount, code = this.getCode()) {
+        const factor = Math.pow(10, this.getDigits(code));
+        return Math.round((amount + Number.EPSILON) * factor) / factor;
+    },
+
+    /**
+     * Convert an amount from the store currency (shipping, discounts, thresholds)
+     * @param {number} amount - Amount in the store currency
+     * @param {string} code - Currency code
+     * @returns {number} Amount in `code`, rounded to its smallest unit
+     */
+    convert(amount, code = this.getCode()) {
+        return this.round(amount * this.getRate(code), code);
+    },
+
+    /**
+     * Convert a product price from the store currency
+     * Prices are rounded to the currency's `roundTo` step (e.g. the nearest ₦50)
+     * so they look like set prices rather than conversions.
+     * @param {number} price - Price in the store currency
+     * @param {string} code - Currency code
+     * @returns {number} Price in `code`
+     */
+    convertPrice(price, code = this.getCode()) {
+        const step = code === this.getBase() ? 0 : this.getSettings(code).roundTo;
+        const converted = price * this.getRate(code);
+        return step > 0 ? Math.round(converted / step) * step : this.round(converted, code);
+    },
+
+    /**
+     * Convert an amount between two currencies (through the store currency)
+     * @param {number} amount - Amount in `from`
+     * @param {string} from - Currency code the amount is in
+     * @param {string} to - Currency code (default: the shopper's)
+     * @returns {number} Amount in `to`, rounded to its smallest unit
+     */
+    exchange(amount, from, to = this.getCode()) {
+        if (from === to) return amount;
+        return this.round(amount / this.getRate(from) * this.getRate(to), to);
+    },
+
+    /**
+     * Get a cached number formatter
+     * @param {string} code - Currency code
+     * @param {string} display - Intl currencyDisplay: 'narrowSymbol' or 'code'
+     * @returns {Intl.NumberFormat}
+     */
+    getFormatter(code, display = 'narrowSymbol') {
+        const key = `${code}:${display}`;
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl.NumberFormat(this.getSettings(code).locale, {
+                style: 'currency',
+                currency: code,
+                currencyDisplay: display
+            }));
+        }
+        return this.formatters.get(key);
+    },
+
+    /**
+     * Format an amount that's already in a currency
+     * @param {number} amount - Amount
+     * @param {string} code - Currency code (default: the shopper's)
+     * @param {string} display - 'narrowSymbol' (R, ₦) or 'code' (ZAR, NGN)
+     * @returns {string} Formatted amount, e.g. ₦12,500.00
+     */
+    format(amount, code = this.getCode(), display = 'narrowSymbol') {
+        return this.getFormatter(code || this.getBase(), display).format(Number(amount) || 0);
+    },
+
+    /**
+     * Fill in the header currency switcher (hidden when there's only one currency)
+     * Switching reloads the page so every price is shown in the new currency.
+     */
+    initSwitcher() {
+        const codes = Object.keys(CONFIG.currencies);
+
+        document.querySelectorAll('.currency-select').forEach(select => {
+            if (codes.length < 2) return;
+
+            select.innerHTML = codes.map(code => Html.html`
+                <option value="${code}" ${code === this.getCode() && Html.raw('selected')}>${code}</option>
+            `).join('');
+            select.hidden = false;
+
+            select.addEventListener('change', () => {
+                this.setCode(select.value);
+                window.location.reload();
+            });
+        });
+    }
+};
@@ -0,0 +1,347 @@
+/**
+ * Gallery Module
+ * Product page image gallery with hover and pinch zoom, swipe, keyboard
+ * navigation and a fullscreen lightbox
+ */
+
+const Gallery = {
+    HOVER_ZOOM: 2.5,
+    MAX_ZOOM: 4,
+    // Pixels a finger has to travel sideways to count as a swipe
+    SWIPE_DISTANCE: 50,
+    DOUBLE_TAP_DELAY: 300,
+    // Rendered widths of the main image and lightbox, for srcset
+    MAIN_SIZES: '(max-width: 968px) 100vw, 50vw',
+    THUMBNAIL_WIDTH: 200,
+    root: null,
+    lightbox: null,
+    lightboxReturnFocus: null,
+    images: [],
+    alt: '',
+    index: 0,
+    zoom: { scale: 1, x: 0, y: 0 },
+
+    /**
+     * Wire up the gallery markup on the product page
+     * Expects .gallery-stage (with an img), .gallery-prev, .gallery-next,
+     * .gallery-expand, .gallery-counter and .product-thumbnails inside root.
+     * @param {HTMLElement} root - Gallery container
+     */
+    init(root) {
+        this.root = root;
+        const stage = root.querySelector('.gallery-stage');
+        const image = stage.querySelector('img');
+
+        root.querySelector('.gallery-prev').addEventListener('click', () => this.show(this.index - 1));
+        root.querySelector('.gallery-next').addEventListener('click', () => this.show(this.index + 1));
+        root.querySelector('.gallery-expand').addEventListener('click', () => this.openLightbox());
+
+        root.querySelector('.product-thumbnails').addEventListener('click', (e) => {
+            const thumb = e.target.closest('.product-thumbnail');
+            if (thumb) this.show(Number(thumb.dataset.index));
+        });
+
+        stage.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowLeft') {
+                e.preventDefault();
+                this.show(this.index - 1);
+            } else if (e.key === 'ArrowRight') {
+                e.preventDefault();
+                this.show(this.index + 1);
+            } else if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                this.openLightbox();
+            }
+        });
+
+        // Mouse: magnify under the cursor. The larger sizes value lets the
+        // browser pick a sharper image from srcset for the zoomed view.
+        stage.addEventListener('pointermove', (e) => {
+            if (e.pointerType !== 'mouse') return;
+
+            const rect = stage.getBoundingClientRect();
+            const x = ((e.clientX - rect.left) / rect.width) * 100;
+            const y = ((e.clientY - rect.top) / rect.height) * 100;
+
+            if (!stage.classList.contains('zoomed')) {
+                stage.classList.add('zoomed');
+                image.sizes = `${Math.round(rect.width * this.HOVER_ZOOM)}px`;
+            }
+            image.style.transformOrigin = `${x}% ${y}%`;
+        });
+
+        stage.addEventListener('pointerleave', () => stage.classList.remove('zoomed'));
+        stage.addEventListener('click', () => this.openLightbox());
+
+        // Touch: swipe between images
+        this.trackGestures(stage, {
+            onSwipe: direction => this.show(this.index + direction)
+        });
+
+        this.createLightbox();
+    },
+
+    /**
+     * Build the fullscreen lightbox (hidden until opened)
+     */
+    createLightbox() {
+        const lightbox = document.createElement('div');
+        lightbox.className = 'lightbox';
+        lightbox.setAttribute('role', 'dialog');
+        lightbox.setAttribute('aria-modal', 'true');
+        lightbox.setAttribute('aria-label', 'Product images');
+        lightbox.setAttribute('aria-hidden', 'true');
+        lightbox.innerHTML = `
+            <button class="lightbox-close" aria-label="Close">&times;</button>
+            <button class="lightbox-nav lightbox-prev" aria-label="Previous image">&#8249;</button>
+            <div class="lightbox-stage">
+                <img alt="">
+            </div>
+            <button class="lightbox-nav lightbox-next" aria-label="Next image">&#8250;</button>
+            <p class="lightbox-counter" aria-live="polite"></p>
+        `;
+
+        document.body.appendChild(lightbox);
+        this.lightbox = lightbox;
+
+        lightbox.querySelector('.lightbox-close').addEventListener('click', () => this.closeLightbox());
+        lightbox.querySelector('.lightbox-prev').addEventListener('click', () => this.show(this.index - 1));
+        lightbox.querySelector('.lightbox-next').addEventListener('click', () => this.show(this.index + 1));
+
+        lightbox.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeLightbox();
+            } else if (e.key === 'ArrowLeft') {
+                this.show(this.index - 1);
+            } else if (e.key === 'ArrowRight') {
+                this.show(this.index + 1);
+            } else if (e.key === 'Tab') {
+                UI.trapFocus(lightbox, e);
+            }
+        });
+
+        // Pinch or double tap to zoom, drag to pan while zoomed, swipe otherwise
+        this.trackGestures(lightbox.querySelector('.lightbox-stage'), {
+            onSwipe: direction => this.show(this.index + direction),
+            onDoubleTap: () => this.setZoom(this.zoom.scale > 1 ? 1 : this.HOVER_ZOOM),
+            onPinch: scale => this.setZoom(scale),
+            onPan: (x, y) => this.setZoom(this.zoom.scale, x, y)
+        });
+    },
+
+    /**
+     * Follow pointers on an element and report swipes, double taps, pinches and pans
+     * Mouse pointers are only followed when there's a double tap handler.
+     * @param {HTMLElement} element - Element to watch
+     * @param {Object} handlers - { onSwipe(direction), onDoubleTap(), onPinch(scale), onPan(x, y) }
+     */
+    trackGestures(element, handlers) {
+        const pointers = new Map();
+        let start = null;
+        let lastTap = 0;
+        let pinched = false; // A second finger joined, so this isn't a swipe or tap
+
+        const distance = () => {
+            const [a, b] = Array.from(pointers.values());
+            return Math.hypot(a.x - b.x, a.y - b.y);
+        };
+
+        // Restart from the current state whenever a finger is added or lifted
+        const begin = () => {
+            const [first] = Array.from(pointers.values());
+            start = {
+                x: first.x,
+                y: first.y,
+                distance: pointers.size === 2 ? distance() : 0,
+                zoom: { ...this.zoom },
+                moved: false
+            };
+        };
+
+        element.addEventListener('pointerdown', (e) => {
+            if (e.pointerType === 'mouse' && !handlers.onDoubleTap) return;
+
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+            if (pointers.size > 2) return;
+            if (element.setPointerCapture) element.setPointerCapture(e.pointerId);
+            begin();
+        });
+
+        element.addEventListener('pointermove', (e) => {
+            if (!pointers.has(e.pointerId) || !start) return;
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            const point = pointers.values().next().value;
+            const dx = point.x - start.x;
+            const dy = point.y - start.y;
+            if (Math.hypot(dx, dy) > 10) start.moved = true;
+
+            if (pointers.size === 2 && start.distance > 0 && handlers.onPinch) {
+                pinched = true;
+                handlers.onPinch(start.zoom.scale * (distance() / start.distance));
+            } else if (pointers.size === 1 && start.zoom.scale > 1 && handlers.onPan) {
+                handlers.onPan(start.zoom.x + dx, start.zoom.y + dy);
+            }
+        });
+
+        const end = (e) => {
+            if (!pointers.has(e.pointerId) || !start) return;
+
+            const point = pointers.get(e.pointerId);
+            pointers.delete(e.pointerId);
+
+            if (pointers.size > 0) {
+                begin();
+                return;
+            }
+
+            const wasPinch = pinched;
+            pinched = false;
+            if (wasPinch || e.type === 'pointercancel' || (start.zoom.scale > 1 && start.moved)) return;
+
+            const dx = point.x - start.x;
+            const dy = point.y - start.y;
+
+            if (Math.abs(dx) > this.SWIPE_DISTANCE && Math.abs(dx) > Math.abs(dy)) {
+                if (handlers.onSwipe) handlers.onSwipe(dx < 0 ? 1 : -1);
+            } else if (!start.moved && handlers.onDoubleTap) {
+                const now = Date.now();
+                if (now - lastTap < this.DOUBLE_TAP_DELAY) {
+                    handlers.onDoubleTap();
+                    lastTap = 0;
+                } else {
+                    lastTap = now;
+                }
+            }
+        };
+
+        element.addEventListener('pointerup', end);
+        element.addEventListener('pointercancel', end);
+    },
+
+    /**
+     * Show a new set of images, keeping the current one if nothing changed
+     * @param {Array<string>} images - Image URLs as in the sheet
+     * @param {string} alt - Alt text (product name)
+     */
+    setImages(images, alt) {
+        if (images.join(' ') === this.images.join(' ') && alt === this.alt) return;
+
+        this.images = images;
+        this.alt = alt;
+
+        const thumbnails = this.root.querySelector('.product-thumbnails');
+        thumbnails.innerHTML = images.length > 1
+            ? images.map((img, i) => Html.html`
+                <button class="product-thumbnail" data-index="${i}" aria-label="Show image ${i + 1} of ${images.length}">
+                    <img src="${Html.url(Products.convertGoogleDriveUrl(img, this.THUMBNAIL_WIDTH))}" alt="" loading="lazy">
+                </button>
+            `).join('')
+            : '';
+
+        this.root.classList.toggle('single', images.length <= 1);
+        this.show(0);
+    },
+
+    /**
+     * Show an image in the gallery and lightbox
+     * @param {number} index - Image index (wraps around)
+     */
+    show(index) {
+        const count = this.images.length;
+        if (count === 0) return;
+
+        this.index = (index + count) % count;
+        const url = this.images[this.index];
+        const label = `Image ${this.index + 1} of ${count}`;
+
+        const stage = this.root.querySelector('.gallery-stage');
+        const image = stage.querySelector('img');
+        stage.classList.remove('zoomed');
+        this.setSource(image, url);
+        image.sizes = this.MAIN_SIZES;
+        image.alt = count > 1 ? `${this.alt} - ${label}` : this.alt;
+        this.root.querySelector('.gallery-counter').textContent = count > 1 ? label : '';
+
+        this.root.querySelectorAll('.product-thumbnail').forEach((thumb, i) => {
+            thumb.classList.toggle('active', i === this.index);
+            thumb.setAttribute('aria-current', i === this.index ? 'true' : 'false');
+        });
+
+        if (this.lightbox) {
+            const full = this.lightbox.querySelector('.lightbox-stage img');
+            this.setSource(full, url);
+            full.sizes = '100vw';
+            full.alt = image.alt;
+            this.lightbox.querySelector('.lightbox-counter').textContent = count > 1 ? label : '';
+            this.lightbox.classList.toggle('single', count <= 1);
+            this.setZoom(1);
+        }
+    },
+
+    /**
+     * Point an img at an image, with a srcset for Google Drive images
+     * @param {HTMLImageElement} img - Image element
+     * @param {string} url - Image URL as in the sheet
+     */
+    setSource(img, url) {
+        img.srcset = Products.getImageSrcset(url);
+        img.src = Html.url(Products.convertGoogleDriveUrl(url));
+    },
+
+    /**
+     * Zoom and pan the lightbox image, keeping it covering the screen
+     * @param {number} scale - Zoom level (1 to MAX_ZOOM)
+     * @param {number} x - Horizontal offset in pixels
+     * @param {number} y - Vertical offset in pixels
+     */
+    setZoom(scale, x = 0, y = 0) {
+        const image = this.lightbox.querySelector('.lightbox-stage img');
+        const zoom = Math.min(this.MAX_ZOOM, Math.max(1, scale));
+        const maxX = (image.offsetWidth * (zoom - 1)) / 2;
+        const maxY = (image.offsetHeight * (zoom - 1)) / 2;
+
+        this.zoom = {
+            scale: zoom,
+            x: Math.min(maxX, Math.max(-maxX, x)),
+            y: Math.min(maxY, Math.max(-maxY, y))
+        };
+
+        image.style.transform = `translate(${this.zoom.x}px, ${this.zoom.y}px) scale(${zoom})`;
+        this.lightbox.classList.toggle('zoomed', zoom > 1);
+    },
+
+    /**
+     * Open the fullscreen lightbox on the current image
+     */
+    openLightbox() {
+        const lightbox = this.lightbox;
+        if (!lightbox || lightbox.classList.contains('active') || this.images.length === 0) return;
+
+        this.lightboxReturnFocus = document.activeElement;
+        this.show(this.index);
+
+        lightbox.classList.add('active');
+        lightbox.setAttribute('aria-hidden', 'false');
+        document.body.style.overflow = 'hidden';
+
+        lightbox.querySelector('.lightbox-close').focus();
+    },
+
+    /**
+     * Close the lightbox and return focus to where it was opened from
+     */
+    closeLightbox() {
+        const lightbox = this.lightbox;
+        if (!lightbox || !lightbox.classList.contains('active')) return;
+
+        lightbox.classList.remove('active');
+        lightbox.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+        this.setZoom(1);
+
+        if (this.lightboxReturnFocus && this.lightboxReturnFocus.focus) {
+            this.lightboxReturnFocus.focus();
+        }
+    }
+};
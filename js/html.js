@@ -0,0 +1,95 @@
+/**
+ * HTML Templating Module
+ * Builds markup from sheet and customer data without letting it become markup itself
+ */
+
+const Html = {
+    /**
+     * Build HTML from a template literal, escaping every interpolated value
+     * Arrays are joined, and values from Html.raw() or nested Html.html`` templates
+     * are inserted as-is, so templates compose without double escaping.
+     * Use Html.url() for values that end up in href/src attributes.
+     *
+     * Example: Html.html`<h3>${product.name}</h3>`
+     *
+     * @param {Array<string>} strings - Template strings
+     * @param {...*} values - Interpolated values
+     * @returns {Object} Safe HTML (converts to a string, e.g. when assigned to innerHTML)
+     */
+    html(strings, ...values) {
+        let result = strings[0];
+        values.forEach((value, i) => {
+            result += this.stringify(value) + strings[i + 1];
+        });
+        return this.raw(result);
+    },
+
+    /**
+     * Mark a string as trusted HTML so templates don't escape it
+     * Only for markup written in this codebase, never for sheet or customer data.
+     * @param {string} html - Trusted HTML
+     * @returns {Object} Safe HTML
+     */
+    raw(html) {
+        return {
+            __html: String(html),
+            toString() {
+                return this.__html;
+            }
+        };
+    },
+
+    /**
+     * Check if a value came from Html.raw() or Html.html``
+     * @param {*} value - Any value
+     * @returns {boolean}
+     */
+    isRaw(value) {
+        return Boolean(value) && typeof value === 'object' && typeof value.__html === 'string';
+    },
+
+    /**
+     * Turn an interpolated value into escaped HTML
+     * @param {*} value - Any value
+     * @returns {string} HTML
+     */
+    stringify(value) {
+        if (value === null || value === undefined || value === false) return '';
+        if (Array.isArray(value)) return value.map(v => this.stringify(v)).join('');
+        if (this.isRaw(value)) return value.__html;
+        return this.escape(value);
+    },
+
+    /**
+     * Escape text for use in HTML content or a quoted attribute
+     * @param {*} value - Text
+     * @returns {string} Escaped text
+     */
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    },
+
+    /**
+     * Make a URL safe for href/src attributes
+     * Relative URLs and http(s), mailto and tel links pass; anything else
+     * (javascript:, data: and so on) becomes an empty string.
+     * @param {string} value - URL
+     * @returns {string} URL, still to be escaped by the template
+     */
+    url(value) {
+        const url = String(value || '').trim();
+
+        // Browsers ignore whitespace and control characters inside the scheme
+        const scheme = url.replace(/[\s\u0000-\u001F]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+        if (scheme && !['http', 'https', 'mailto', 'tel'].includes(scheme[1].toLowerCase())) {
+            return '';
+        }
+
+        return url;
+    }
+};
@@ -0,0 +1,159 @@
+/**
+ * I18n Module
+ * Looks up storefront strings in the shopper's language (see js/messages.js and
+ * CONFIG.languages) and translates the page's data-i18n markup.
+ */
+
+const I18n = {
+    STORAGE_KEY: 'kamelkross_lang',
+    SOURCE: 'en',
+    selected: null,
+    pluralRules: new Map(),
+
+    /**
+     * Check if a language is set up in CONFIG.languages and has a catalog
+     * @param {string} code - Language code
+     * @returns {boolean}
+     */
+    isAvailable(code) {
+        return Object.prototype.hasOwnProperty.call(CONFIG.languages, code) &&
+            Object.prototype.hasOwnProperty.call(MESSAGES, code);
+    },
+
+    /**
+     * Get the store's default language
+     * @returns {string} Language code
+     */
+    getDefault() {
+        return this.isAvailable(CONFIG.defaultLanguage) ? CONFIG.defaultLanguage : this.SOURCE;
+    },
+
+    /**
+     * Get the shopper's language: the one they picked (saved in localStorage),
+     * else the first of their browser's languages the store has, else the default
+     * @returns {string} Language code
+     */
+    getCode() {
+        if (!this.selected) {
+            let saved = null;
+            try {
+                saved = localStorage.getItem(this.STORAGE_KEY);
+            } catch (error) {
+                // Storage can be unavailable (e.g. private browsing)
+            }
+
+            const preferred = typeof navigator !== 'undefined'
+                ? (navigator.languages || [navigator.language]).filter(Boolean)
+                : [];
+            const browser = preferred
+                .map(language => language.split('-')[0].toLowerCase())
+                .find(code => this.isAvailable(code));
+
+            this.selected = saved && this.isAvailable(saved) ? saved : browser || this.getDefault();
+        }
+        return this.selected;
+    },
+
+    /**
+     * Change the shopper's language
+     * @param {string} code - Language code
+     */
+    setCode(code) {
+        if (!this.isAvailable(code)) return;
+
+        this.selected = code;
+        try {
+            localStorage.setItem(this.STORAGE_KEY, code);
+        } catch (error) {
+            console.error('Error saving language:', error);
+        }
+    },
+
+    /**
+     * Get the locale for the shopper's language, for dates and plurals
+     * @returns {string} Locale, e.g. af-ZA
+     */
+    getLocale() {
+        return CONFIG.languages[this.getCode()].locale || this.getCode();
+    },
+
+    /**
+     * Pick the plural form of a message for a count
+     * @param {Object} forms - Message keyed by plural category ({ one, other })
+     * @param {number} count - Count
+     * @returns {string} Message
+     */
+    plural(forms, count) {
+        const locale = this.getLocale();
+        if (!this.pluralRules.has(locale)) {
+            this.pluralRules.set(locale, new Intl.PluralRules(locale));
+        }
+        return forms[this.pluralRules.get(locale).select(Number(count) || 0)] || forms.other;
+    },
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key, e.g. 'cart.added'
+     * @param {Object} params - Values for {name} placeholders; `count` also picks the plural form
+     * @returns {string} Message in the shopper's language, else English, else the key
+     */
+    t(key, params = {}) {
+        const catalog = MESSAGES[this.getCode()] || {};
+        let message = key in catalog ? catalog[key] : MESSAGES[this.SOURCE][key];
+
+        if (message === undefined) {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            message = this.plural(message, params.count);
+        }
+
+        return message.replace(/\{(\w+)\}/g, (match, name) =>
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+        );
+    },
+
+    /**
+     * Translate the page: text of [data-i18n] elements, and the placeholder and
+     * aria-label of [data-i18n-placeholder] and [data-i18n-aria-label] elements
+     * @param {HTMLElement|Document} root - Where to look (default: the whole page)
+     */
+    applyPage(root = document) {
+        document.documentElement.lang = this.getCode();
+
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+        root.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+            element.placeholder = this.t(element.dataset.i18nPlaceholder);
+        });
+        root.querySelectorAll('[data-i18n-aria-label]').forEach(element => {
+            element.setAttribute('aria-label', this.t(element.dataset.i18nAriaLabel));
+        });
+    },
+
+    /**
+     * Fill in the header language switcher (hidden when there's only one language)
+     * Switching reloads the page so every string is shown in the new language.
+     */
+    initSwitcher() {
+        const codes = Object.keys(CONFIG.languages).filter(code => this.isAvailable(code));
+
+        document.querySelectorAll('.language-select').forEach(select => {
+            if (codes.length < 2) return;
+
+            select.innerHTML = codes.map(code => Html.html`
+                <option value="${code}" ${code === this.getCode() && Html.raw('selected')}>${CONFIG.languages[code].label}</option>
+            `).join('');
+            select.setAttribute('aria-label', this.t('language.label'));
+            select.hidden = false;
+
+            select.addEventListener('change', () => {
+                this.setCode(select.value);
+                window.location.reload();
+            });
+        });
+    }
+};
@@ -0,0 +1,370 @@
+/**
+ * Invoice Module
+ * Builds invoices from orders (the shape Cart.prepareOrderData produces) as
+ * printable HTML and PDF. The order server loads this file too, so invoices
+ * look the same wherever they're made.
+ */
+
+const Invoice = {
+    // Brand red (--red in css/style.css); invoices don't load the site's stylesheet
+    ACCENT: '#C8384A',
+
+    /**
+     * Format a sequential invoice number
+     * @param {number} sequence - Invoice sequence number (from the order server)
+     * @returns {string} e.g. INV-000042
+     */
+    formatNumber(sequence) {
+        return `${CONFIG.invoicePrefix || 'INV-'}${String(sequence).padStart(6, '0')}`;
+    },
+
+    /**
+     * Format an amount in the invoice's currency
+     * @param {Object} invoice - From build()
+     * @param {number} amount - Amount
+     * @param {string} display - 'narrowSymbol', or 'code' for the PDF (its fonts have no ₦ or ₵)
+     * @returns {string} Formatted amount
+     */
+    formatMoney(invoice, amount, display = 'narrowSymbol') {
+        return Currency.format(amount, invoice.currency, display);
+    },
+
+    /**
+     * Build an invoice from an order
+     * Orders from the order server have a sequential invoiceNumber; without one
+     * (static hosting) the document is a receipt numbered by payment reference.
+     * Orders from before tax was recorded have it worked out again.
+     * @param {Object} order - Order: Cart.prepareOrderData output plus reference (and invoiceNumber, paidAt)
+     * @returns {Object} Invoice
+     */
+    build(order) {
+        const store = CONFIG.store;
+        const customer = order.customer || {};
+        const number = order.invoiceNumber ? this.formatNumber(order.invoiceNumber) : '';
+
+        return {
+            title: I18n.t(!number ? 'invoice.receipt' : CONFIG.tax.vatNumber ? 'invoice.taxInvoice' : 'invoice.invoice'),
+            number: number,
+            reference: order.reference,
+            date: order.paidAt || order.createdAt || order.timestamp || new Date().toISOString(),
+            seller: {
+                name: store.legalName || store.name,
+                address: store.address || '',
+                vatNumber: CONFIG.tax.vatNumber || '',
+                email: CONFIG.contact.email,
+                phone: CONFIG.contact.phone
+            },
+            customer: {
+                name: [customer.firstName, customer.lastName].filter(Boolean).join(' '),
+                address: [customer.address, customer.city, customer.state].filter(Boolean).join(', '),
+                email: customer.email || '',
+                phone: customer.phone || ''
+            },
+            lines: (order.items || []).map(item => ({
+                description: item.name,
+                details: [`${item.size} / ${item.color}`, item.sku].filter(Boolean).join(' · '),
+                quantity: item.quantity,
+                unitPrice: item.price,
+                total: item.price * item.quantity
+            })),
+            subtotal: order.subtotal,
+            discount: order.discount || 0,
+            discountLabel: order.promoCode ? I18n.t('invoice.discountCode', { code: order.promoCode }) : I18n.t('summary.discount'),
+            shipping: order.shipping || 0,
+            total: order.total,
+            currency: order.currency || Currency.getBase(),
+            tax: order.tax || Tax.calculate(order.items || [], order.discount || 0, order.shipping || 0)
+        };
+    },
+
+    /**
+     * Get the title, number and date rows for the invoice header
+     * @param {Object} invoice - From build()
+     * @returns {Array} [label, value] pairs
+     */
+    getDetails(invoice) {
+        return [
+            invoice.number && [I18n.t('invoice.number'), invoice.number],
+            [I18n.t('invoice.date'), UI.formatDate(invoice.date)],
+            [I18n.t('invoice.paymentRef'), invoice.reference]
+        ].filter(Boolean);
+    },
+
+    /**
+     * Get the rows under the line items
+     * @param {Object} invoice - From build()
+     * @returns {Array} [label, amount, bold] rows
+     */
+    getTotals(invoice) {
+        const tax = invoice.tax;
+        const taxRows = Tax.getRows(tax).map(row => [row.label, row.amount]);
+        const rows = [
+            [I18n.t('summary.subtotal'), invoice.subtotal],
+            invoice.discount > 0 && [invoice.discountLabel, -invoice.discount],
+            [I18n.t('summary.shipping'), invoice.shipping]
+        ];
+
+        // Included tax is broken out below the total; added tax comes before it
+        if (tax.included) {
+            rows.push([I18n.t('summary.total'), invoice.total, true]);
+            if (taxRows.length > 0) {
+                rows.push([I18n.t('invoice.totalExcl', { tax: tax.label }), Tax.round(invoice.total - tax.amount)], ...taxRows);
+            }
+        } else {
+            rows.push(...taxRows, [I18n.t('summary.total'), invoice.total, true]);
+        }
+
+        return rows.filter(Boolean);
+    },
+
+    /**
+     * Render an invoice for the page (see renderDocument for a standalone file)
+     * @param {Object} invoice - From build()
+     * @returns {Object} Safe HTML (see Html.html)
+     */
+    render(invoice) {
+        const seller = invoice.seller;
+        const customer = invoice.customer;
+
+        return Html.html`
+            <article class="invoice">
+                <header class="invoice-header">
+                    <div>
+                        <div class="invoice-store">${seller.name}</div>
+                        ${seller.address && Html.html`<div>${seller.address}</div>`}
+                        ${seller.vatNumber && Html.html`<div>${I18n.t('invoice.vatNumber', { number: seller.vatNumber })}</div>`}
+                        <div>${seller.email}${seller.phone && ` · ${seller.phone}`}</div>
+                    </div>
+                    <div class="invoice-meta">
+                        <h1>${invoice.title}</h1>
+                        <dl>
+                            ${this.getDetails(invoice).map(([label, value]) => Html.html`<dt>${label}</dt><dd>${value}</dd>`)}
+                        </dl>
+                    </div>
+                </header>
+
+                <section class="invoice-customer">
+                    <h2>${I18n.t('invoice.billTo')}</h2>
+                    <div><strong>${customer.name}</strong></div>
+                    ${customer.address && Html.html`<div>${customer.address}</div>`}
+                    <div>${customer.email}${customer.phone && ` · ${customer.phone}`}</div>
+                </section>
+
+                <table class="invoice-lines">
+                    <thead>
+                        <tr>
+                            <th>${I18n.t('invoice.item')}</th>
+                            <th>${I18n.t('invoice.quantity')}</th>
+                            <th>${I18n.t('invoice.unitPrice')}</th>
+                            <th>${I18n.t('invoice.amount')}</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${invoice.lines.map(line => Html.html`
+                            <tr>
+                                <td>${line.description}<small>${line.details}</small></td>
+                                <td>${line.quantity}</td>
+                                <td>${this.formatMoney(invoice, line.unitPrice)}</td>
+                                <td>${this.formatMoney(invoice, line.total)}</td>
+                            </tr>
+                        `)}
+                    </tbody>
+                    <tfoot>
+                        ${this.getTotals(invoice).map(([label, amount, bold]) => Html.html`
+                            <tr class="${bold ? 'invoice-total' : ''}">
+                                <td colspan="3">${label}</td>
+                                <td>${this.formatMoney(invoice, amount)}</td>
+                            </tr>
+                        `)}
+                    </tfoot>
+                </table>
+
+                <footer class="invoice-footer">${I18n.t('invoice.thanks', { store: CONFIG.store.name })}</footer>
+            </article>
+        `;
+    },
+
+    /**
+     * Render a standalone, printable HTML invoice (styles included)
+     * @param {Object} invoice - From build()
+     * @returns {string} HTML document
+     */
+    renderDocument(invoice) {
+        const title = `${invoice.title} ${invoice.number || invoice.reference}`;
+
+        return String(Html.html`<!DOCTYPE html>
+<html lang="${I18n.getCode()}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>${title} | ${CONFIG.store.name}</title>
+    <style>
+        body { margin: 0; padding: 32px 16px; background: #f5f5f5; color: #1a1a1a; font: 14px/1.5 Helvetica, Arial, sans-serif; }
+        .invoice { max-width: 760px; margin: 0 auto; padding: 48px; background: #fff; }
+        .invoice-header { display: flex; justify-content: space-between; gap: 32px; padding-bottom: 24px; border-bottom: 3px solid ${this.ACCENT}; color: #555; }
+        .invoice-store { font-size: 22px; font-weight: 700; color: #1a1a1a; }
+        .invoice-meta { text-align: right; }
+        .invoice-meta h1 { margin: 0 0 8px; font-size: 24px; text-transform: uppercase; letter-spacing: 0.05em; color: ${this.ACCENT}; }
+        .invoice-meta dl { display: grid; grid-template-columns: auto auto; gap: 2px 12px; margin: 0; }
+        .invoice-meta dt { color: #888; }
+        .invoice-meta dd { margin: 0; color: #1a1a1a; }
+        .invoice-customer { margin: 24px 0; color: #555; }
+        .invoice-customer h2 { margin: 0 0 4px; font-size: 12px; text-transform: uppercase; letter-spacing: 0.05em; color: #888; }
+        .invoice-customer strong { color: #1a1a1a; }
+        .invoice-lines { width: 100%; border-collapse: collapse; }
+        .invoice-lines th { padding: 8px; background: #f0f0f0; font-size: 12px; text-transform: uppercase; letter-spacing: 0.05em; text-align: right; }
+        .invoice-lines td { padding: 8px; border-bottom: 1px solid #eee; text-align: right; vertical-align: top; }
+        .invoice-lines th:first-child, .invoice-lines td:first-child { text-align: left; }
+        .invoice-lines small { display: block; color: #888; }
+        .invoice-lines tfoot td { border-bottom: none; padding: 4px 8px; color: #555; }
+        .invoice-lines tfoot .invoice-total td { padding: 10px 8px; border-top: 2px solid #1a1a1a; font-size: 16px; font-weight: 700; color: #1a1a1a; }
+        .invoice-footer { margin-top: 32px; text-align: center; color: #888; }
+        .invoice-actions { max-width: 760px; margin: 0 auto 16px; text-align: right; }
+        .invoice-actions button { padding: 10px 20px; border: 0; background: ${this.ACCENT}; color: #fff; font: inherit; cursor: pointer; }
+        @media (max-width: 600px) { .invoice { padding: 24px; } .invoice-header { flex-direction: column; } .invoice-meta { text-align: left; } }
+        @media print { body { padding: 0; background: #fff; } .invoice { padding: 0; } .invoice-actions { display: none; } }
+    </style>
+</head>
+<body>
+    <div class="invoice-actions"><button type="button" onclick="window.print()">${I18n.t('invoice.print')}</button></div>
+    ${this.render(invoice)}
+</body>
+</html>
+`);
+    },
+
+    /**
+     * Draw an invoice as a PDF
+     * @param {Object} invoice - From build()
+     * @returns {string} PDF file, one character per byte (see Pdf.toBytes)
+     */
+    toPdf(invoice) {
+        const doc = Pdf.create();
+        const margin = 48;
+        const right = Pdf.PAGE_WIDTH - margin;
+                const muted = '#777777';
+        const columns = { qty: right - 225, unit: right - 115, amount: right };
+        let y = margin + 16;
+
+        // Seller, with the title and invoice details opposite
+        Pdf.text(doc, margin, y, invoice.seller.name, { size: 18, bold: true });
+        Pdf.text(doc, right, y, invoice.title.toUpperCase(), { size: 18, bold: true, color: this.ACCENT, align: 'right' });
+
+        const sellerLines = [
+            invoice.seller.address,
+            invoice.seller.vatNumber && I18n.t('invoice.vatNumber', { number: invoice.seller.vatNumber }),
+            invoice.seller.email,
+            invoice.seller.phone
+        ].filter(Boolean);
+        sellerLines.forEach((text, i) => Pdf.text(doc, margin, y + 18 + i * 13, text, { size: 9, color: muted }));
+        this.getDetails(invoice).forEach(([label, value], i) => {
+            Pdf.text(doc, right - 120, y + 18 + i * 13, label, { size: 9, color: muted, align: 'right' });
+            Pdf.text(doc, right, y + 18 + i * 13, value, { size: 9, align: 'right' });
+        });
+
+        y += 18 + Math.max(sellerLines.length, this.getDetails(invoice).length) * 13 + 8;
+        Pdf.line(doc, margin, y, right, y, { color: this.ACCENT, width: 2 });
+
+        // Customer
+        y += 24;
+        Pdf.text(doc, margin, y, I18n.t('invoice.billTo').toUpperCase(), { size: 8, bold: true, color: muted });
+        [invoice.customer.name, invoice.customer.address, invoice.customer.email, invoice.customer.phone]
+            .filter(Boolean)
+            .forEach((text, i) => {
+                y += 13;
+                Pdf.text(doc, margin, y, Pdf.fit(text, right - margin, 10), { size: 10, bold: i === 0 });
+            });
+
+        // Line items, continuing on new pages as needed
+        const drawHeader = () => {
+            Pdf.rect(doc, margin, y, right - margin, 20, '#f0f0f0');
+            Pdf.text(doc, margin + 6, y + 13, I18n.t('invoice.item').toUpperCase(), { size: 8, bold: true });
+            Pdf.text(doc, columns.qty, y + 13, I18n.t('invoice.quantity').toUpperCase(), { size: 8, bold: true, align: 'right' });
+            Pdf.text(doc, columns.unit, y + 13, I18n.t('invoice.unitPrice').toUpperCase(), { size: 8, bold: true, align: 'right' });
+            Pdf.text(doc, columns.amount - 6, y + 13, I18n.t('invoice.amount').toUpperCase(), { size: 8, bold: true, align: 'right' });
+            y += 20;
+        };
+
+        y += 24;
+        drawHeader();
+        invoice.lines.forEach(line => {
+            if (y + 32 > Pdf.PAGE_HEIGHT - margin) {
+                Pdf.addPage(doc);
+                y = margin;
+                drawHeader();
+            }
+
+            const width = columns.qty - margin - 40;
+            Pdf.text(doc, margin + 6, y + 14, Pdf.fit(line.description, width, 10), { size: 10 });
+            Pdf.text(doc, margin + 6, y + 26, Pdf.fit(line.details, width, 8), { size: 8, color: muted });
+            Pdf.text(doc, columns.qty, y + 14, String(line.quantity), { size: 10, align: 'right' });
+            Pdf.text(doc, columns.unit, y + 14, this.formatMoney(invoice, line.unitPrice, 'code'), { size: 10, align: 'right' });
+            Pdf.text(doc, columns.amount - 6, y + 14, this.formatMoney(invoice, line.total, 'code'), { size: 10, align: 'right' });
+            y += 32;
+            Pdf.line(doc, margin, y, right, y, { color: '#eeeeee' });
+        });
+
+        // Totals and tax
+        const totals = this.getTotals(invoice);
+        if (y + totals.length * 16 + 60 > Pdf.PAGE_HEIGHT - margin) {
+            Pdf.addPage(doc);
+            y = margin;
+        }
+
+        y += 8;
+        totals.forEach(([label, amount, bold]) => {
+            if (bold) {
+                y += 4;
+                Pdf.line(doc, columns.qty - 60, y, right, y, { color: '#1a1a1a', width: 1.5 });
+                y += 4;
+            }
+            y += bold ? 16 : 14;
+            const options = { size: bold ? 12 : 9, bold: Boolean(bold), color: bold ? '#1a1a1a' : muted, align: 'right' };
+            Pdf.text(doc, columns.unit, y, label, options);
+            Pdf.text(doc, columns.amount - 6, y, this.formatMoney(invoice, amount, 'code'), { ...options, color: '#1a1a1a' });
+            if (bold) y += 6;
+        });
+
+        Pdf.text(doc, Pdf.PAGE_WIDTH / 2, Pdf.PAGE_HEIGHT - margin, I18n.t('invoice.thanks', { store: CONFIG.store.name }), {
+            size: 9, color: muted, align: 'center'
+        });
+
+        return Pdf.output(doc, {
+            title: `${invoice.title} ${invoice.number || invoice.reference}`,
+            author: invoice.seller.name
+        });
+    },
+
+    /**
+     * Get the file name for an invoice download
+     * @param {Object} invoice - From build()
+     * @returns {string} File name
+     */
+    getFileName(invoice) {
+        return `${CONFIG.store.name.replace(/\W+/g, '-')}-${invoice.number || invoice.reference}.pdf`;
+    },
+
+    /**
+     * Download an invoice as a PDF (browser only)
+     * @param {Object} invoice - From build()
+     */
+    download(invoice) {
+        const blob = new Blob([Pdf.toBytes(this.toPdf(invoice))], { type: 'application/pdf' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = this.getFileName(invoice);
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+    },
+
+    /**
+     * Open the printable invoice in a new tab (browser only)
+     * @param {Object} invoice - From build()
+     */
+    open(invoice) {
+        const blob = new Blob([this.renderDocument(invoice)], { type: 'text/html' });
+        window.open(URL.createObjectURL(blob), '_blank', 'noopener');
+    }
+};
@@ -0,0 +1,632 @@
+/**
+ * Message Catalogs
+ * Storefront strings by language, read through I18n.t(). English is the source:
+ * a key missing from another language falls back to it.
+ *
+ * {name} placeholders are filled from the params passed to I18n.t(). Messages
+ * that depend on a count are objects keyed by plural category (one, other, and
+ * few/many for languages that have them), chosen with params.count.
+ */
+
+const MESSAGES = {
+    en: {
+        'nav.home': 'Home',
+        'nav.shop': 'Shop',
+        'nav.allProducts': 'All Products',
+        'search.placeholder': 'Search',
+        'search.label': 'Search products',
+        'search.noneText': 'Check the spelling or try a more general word',
+        'search.noMatch': 'No products match "{query}"',
+        'search.seeAll': 'See all results for "{query}"',
+        'language.label': 'Language',
+
+        'footer.tagline': 'Premium streetwear and branded apparel. Express yourself with confidence.',
+        'footer.help': 'Help',
+        'footer.contact': 'Contact',
+        'footer.shipping': 'Shipping Info',
+        'footer.track': 'Track Order',
+        'footer.returns': 'Returns',
+        'footer.sizeGuide': 'Size Guide',
+        'footer.contactUs': 'Contact Us',
+        'footer.rights': 'All rights reserved.',
+
+        'cart.title': 'Your Cart',
+        'cart.close': 'Close cart',
+        'cart.yourItems': 'Your Items',
+        'cart.subtotal': 'Subtotal',
+        'cart.drawerNote': 'Shipping and discount codes are applied at checkout',
+        'cart.checkout': 'Checkout',
+        'cart.view': 'View Cart',
+        'cart.empty': 'Your cart is empty',
+        'cart.emptyText': 'Looks like you haven\'t added any items to your cart yet.',
+        'cart.startShopping': 'Start Shopping',
+        'cart.remove': 'Remove',
+        'cart.invalidCode': 'This discount code is not valid',
+        'cart.added': '{name} added to cart',
+        'cart.removed': '{name} removed from cart',
+        'cart.soldOut': '{variant} is sold out',
+        'cart.onlyMore': 'Only {count} more {variant} available',
+        'cart.allInCart': 'You already have all available {variant} in your cart',
+        'cart.onlyAvailable': 'Only {count} {variant} available',
+        'cart.change.removed': '{variant} is no longer available and was removed',
+        'cart.change.discontinued': '{variant} has been discontinued and was removed',
+        'cart.change.soldOut': '{variant} sold out and was removed',
+        'cart.change.quantityReduced': 'Only {count} {variant} left, so your quantity was reduced',
+        'cart.change.priceChanged': '{variant} changed price from {oldPrice} to {newPrice}',
+        'cart.change.updated': '{variant} was updated',
+
+        'summary.subtotal': 'Subtotal',
+        'summary.discount': 'Discount',
+        'summary.shipping': 'Shipping',
+        'summary.total': 'Total',
+        'tax.row': '{label} ({rate})',
+        'tax.rowIncluded': '{label} ({rate}) included',
+
+        'shipping.addMore': 'Add {amount} more for free shipping to {zone}',
+        'shipping.unlocked': 'You\'ve unlocked free shipping to {zone}',
+        'shipping.free': 'Free',
+        'shipping.estimate': 'Estimated for {zone}. Final cost is calculated at checkout.',
+        'shipping.delivery': '{zone}: {time}.',
+        'shipping.addMoreAny': 'Add {amount} more for free shipping.',
+
+        'products.all': 'All Products',
+        'products.allDescription': 'Explore our complete collection of premium streetwear',
+        'products.categoryDescription': 'Browse our {category} collection',
+        'products.count': { one: '{count} product', other: '{count} products' },
+        'products.none': 'No products found',
+        'products.noneText': 'Try adjusting your filters or check back later',
+        'products.viewAll': 'View All Products',
+        'products.soldOut': 'Sold Out',
+        'products.featured': 'Featured',
+        'products.viewDetails': 'View Details',
+        'products.colorCount': { one: '{count} color', other: '{count} colors' },
+        'products.quickAdd': 'Add',
+        'products.quickAddOption': 'Size and color for {name}',
+
+        'product.selectSize': 'Please select a size',
+        'product.selectColor': 'Please select a color',
+        'product.addToCart': 'Add to Cart',
+        'product.soldOut': 'Sold out',
+        'product.allInCart': 'All available stock is already in your cart',
+        'product.onlyLeft': 'Only {count} left',
+        'product.oneSize': 'One Size',
+        'product.color': 'Color:',
+        'product.quantity': 'Quantity',
+        'product.sku': 'SKU: {sku}',
+        'product.colorSoldOut': '{color} - Sold out',
+        'product.freeShippingNote': 'Free shipping to major cities on orders over {amount}',
+        'product.returnsNote': 'Easy returns within 7 days',
+        'product.shippingFrom': 'Shipping from {amount} per order',
+
+        'checkout.emptyText': 'Add some items to your cart before checking out.',
+        'checkout.required': 'This field is required',
+        'checkout.invalidEmail': 'Please enter a valid email',
+        'checkout.invalidPhone': 'Please enter a valid South African phone number',
+        'checkout.cancelled': 'Payment cancelled',
+        'checkout.processing': 'Processing...',
+        'checkout.pay': 'Pay',
+        'checkout.currencyNote': 'Payments in {requested} aren\'t available yet, so you\'ll be charged in {currency}.',
+        'checkout.totalChanged': 'Prices have changed, so your total is now {total}. Please check your order and pay again.',
+
+        'payment.pending.title': 'Payment Pending',
+        'payment.pending.message': 'We haven\'t received confirmation of your payment yet. Please refresh this page in a moment.',
+        'payment.review.title': 'Payment Under Review',
+        'payment.review.message': 'We\'re checking your payment and will be in touch by email shortly.',
+        'payment.failed.title': 'Payment Not Completed',
+        'payment.failed.message': 'Your payment didn\'t go through and you haven\'t been charged. Your cart has been saved so you can try again.',
+        'payment.error.title': 'We Couldn\'t Load Your Order',
+        'payment.error.message': 'Please contact us with your order reference and we will confirm your payment.',
+
+        'promo.applied': 'Discount code applied',
+        'promo.notStarted': 'This promotion has not started yet',
+        'promo.expired': 'This promotion has expired',
+        'promo.minSpend': 'Spend {amount} or more to use this promotion',
+        'promo.categoryOnly': 'This promotion only applies to {category}',
+        'promo.minQuantity': 'Add {count} {category} to your cart to use this promotion',
+        'promo.minItems': {
+            one: 'Add {count} item to your cart to use this promotion',
+            other: 'Add {count} items to your cart to use this promotion'
+        },
+        'promo.percentOff': '{value}% off',
+        'promo.percentOffCategory': '{value}% off {category}',
+        'promo.amountOff': '{amount} off',
+        'promo.amountOffCategory': '{amount} off {category}',
+        'promo.freeShipping': 'Free shipping',
+        'promo.bogo': 'Buy {buy} get {get} free',
+        'promo.bogoCategory': 'Buy {buy} get {get} free on {category}',
+        'promo.default': 'Promotion',
+        'promo.placeholder': 'Discount code',
+        'promo.apply': 'Apply',
+        'promo.code': 'Code',
+        'ui.copied': 'Copied to clipboard',
+
+        'sizes.size': 'Size',
+        'sizes.units': 'Units',
+        'sizes.cm': 'cm',
+        'sizes.inches': 'inches',
+        'sizeFinder.open': 'Find my size',
+        'sizeFinder.title': 'Find My Size',
+        'sizeFinder.intro': 'Enter your measurements and we\'ll pick the size that fits best.',
+        'sizeFinder.howToMeasure': 'How to measure',
+        'sizeFinder.chest': 'Chest ({unit}) *',
+        'sizeFinder.height': 'Height ({unit})',
+        'sizeFinder.enterChest': 'Please enter your chest measurement',
+        'sizeFinder.noMatch': 'We couldn\'t match a size. Please contact us and we\'ll help you choose.',
+        'sizeFinder.recommend': 'We recommend {size}.',
+        'sizeFinder.closest': '{size} is the closest fit, but your measurements are outside our chart.',
+        'sizeFinder.selected': 'We\'ve selected it for you.',
+        'sizeFinder.soldOutIn': 'It\'s sold out in {color}.',
+
+        'tracking.pending.label': 'Awaiting Payment',
+        'tracking.pending.message': 'We haven\'t received confirmation of your payment yet.',
+        'tracking.review.label': 'Payment Under Review',
+        'tracking.review.message': 'We\'re checking your payment and will be in touch by email shortly.',
+        'tracking.failed.label': 'Payment Not Completed',
+        'tracking.failed.message': 'Your payment didn\'t go through and you haven\'t been charged.',
+        'tracking.paid.label': 'Order Confirmed',
+        'tracking.paid.message': 'We\'ve received your payment and are getting your order ready.',
+        'tracking.packed.label': 'Packed',
+        'tracking.packed.message': 'Your order is packed and waiting for the courier.',
+        'tracking.shipped.label': 'Shipped',
+        'tracking.shipped.message': 'Your order is on its way.',
+        'tracking.delivered.label': 'Delivered',
+        'tracking.delivered.message': 'Your order has been delivered. Enjoy!',
+        'tracking.cancelled.label': 'Cancelled',
+        'tracking.cancelled.message': 'This order was cancelled. Please contact us if you have any questions.',
+        'tracking.notFound': 'We couldn\'t find an order with that reference and email',
+        'tracking.updated': 'Updated {date}',
+        'tracking.notRight': 'Not quite right?',
+        'tracking.startReturn': 'Start a return or exchange',
+        'tracking.courier': 'Courier',
+        'tracking.trackingNumber': 'Tracking Number',
+        'tracking.trackWithCourier': 'Track with Courier',
+        'tracking.items': 'Items',
+
+        'contact.nameRequired': 'Please enter your name',
+        'contact.emailRequired': 'Please enter your email',
+        'contact.subjectRequired': 'Please select a topic',
+        'contact.invalidReference': 'Order references look like KK_1718000000000_k3j9x2abc (see your confirmation email)',
+        'contact.messageRequired': 'Please enter a message',
+        'contact.tooLong': 'Please keep this under {max} characters',
+        'contact.rateLimit': {
+            one: 'You\'ve sent a few messages already. Please try again in {count} minute.',
+            other: 'You\'ve sent a few messages already. Please try again in {count} minutes.'
+        },
+        'contact.thanks': 'Thank you for your message!',
+        'contact.thanksReply': 'Thank you for your message! We\'ll get back to you within 24-48 hours.',
+        'contact.sendFailed': 'Your message couldn\'t be sent, please try again',
+        'contact.notSetUp': 'The contact form isn\'t set up yet. Please email us instead.',
+        'contact.mailto': 'Your email app should open with your message. If it doesn\'t, email us at {email}.',
+
+        'invoice.receipt': 'Receipt',
+        'invoice.taxInvoice': 'Tax Invoice',
+        'invoice.invoice': 'Invoice',
+        'invoice.number': 'Invoice No.',
+        'invoice.date': 'Date',
+        'invoice.paymentRef': 'Payment Ref.',
+        'invoice.vatNumber': 'VAT No. {number}',
+        'invoice.billTo': 'Bill To',
+        'invoice.item': 'Item',
+        'invoice.quantity': 'Qty',
+        'invoice.unitPrice': 'Unit Price',
+        'invoice.amount': 'Amount',
+        'invoice.discountCode': 'Discount ({code})',
+        'invoice.totalExcl': 'Total excl. {tax}',
+        'invoice.thanks': 'Thank you for shopping with {store}.',
+        'invoice.print': 'Print'
+    },
+
+    af: {
+        'nav.home': 'Tuis',
+        'nav.shop': 'Winkel',
+        'nav.allProducts': 'Alle produkte',
+        'search.placeholder': 'Soek',
+        'search.label': 'Soek produkte',
+        'search.noneText': 'Kontroleer die spelling of probeer ’n meer algemene woord',
+        'search.noMatch': 'Geen produkte pas by "{query}" nie',
+        'search.seeAll': 'Sien alle resultate vir "{query}"',
+        'language.label': 'Taal',
+
+        'footer.tagline': 'Premium straatdrag en handelsmerkklere. Wys wie jy is, met selfvertroue.',
+        'footer.help': 'Hulp',
+        'footer.contact': 'Kontak',
+        'footer.shipping': 'Aflewering',
+        'footer.track': 'Volg bestelling',
+        'footer.returns': 'Terugsendings',
+        'footer.sizeGuide': 'Groottegids',
+        'footer.contactUs': 'Kontak ons',
+        'footer.rights': 'Alle regte voorbehou.',
+
+        'cart.title': 'Jou mandjie',
+        'cart.close': 'Maak mandjie toe',
+        'cart.yourItems': 'Jou items',
+        'cart.subtotal': 'Subtotaal',
+        'cart.drawerNote': 'Aflewering en afslagkodes word by die betaalpunt bygereken',
+        'cart.checkout': 'Betaal',
+        'cart.view': 'Bekyk mandjie',
+        'cart.empty': 'Jou mandjie is leeg',
+        'cart.emptyText': 'Dit lyk of jy nog niks by jou mandjie gevoeg het nie.',
+        'cart.startShopping': 'Begin inkopies doen',
+        'cart.remove': 'Verwyder',
+        'cart.invalidCode': 'Hierdie afslagkode is nie geldig nie',
+        'cart.added': '{name} is by jou mandjie gevoeg',
+        'cart.removed': '{name} is uit jou mandjie verwyder',
+        'cart.soldOut': '{variant} is uitverkoop',
+        'cart.onlyMore': 'Net nog {count} {variant} beskikbaar',
+        'cart.allInCart': 'Jy het reeds al die beskikbare {variant} in jou mandjie',
+        'cart.onlyAvailable': 'Net {count} {variant} beskikbaar',
+        'cart.change.removed': '{variant} is nie meer beskikbaar nie en is verwyder',
+        'cart.change.discontinued': '{variant} word nie meer verkoop nie en is verwyder',
+        'cart.change.soldOut': '{variant} is uitverkoop en is verwyder',
+        'cart.change.quantityReduced': 'Net {count} {variant} oor, dus is jou hoeveelheid verminder',
+        'cart.change.priceChanged': '{variant} se prys het van {oldPrice} na {newPrice} verander',
+        'cart.change.updated': '{variant} is bygewerk',
+
+        'summary.subtotal': 'Subtotaal',
+        'summary.discount': 'Afslag',
+        'summary.shipping': 'Aflewering',
+        'summary.total': 'Totaal',
+        'tax.row': '{label} ({rate})',
+        'tax.rowIncluded': '{label} ({rate}) ingesluit',
+
+        'shipping.addMore': 'Voeg nog {amount} by vir gratis aflewering na {zone}',
+        'shipping.unlocked': 'Jy kry gratis aflewering na {zone}',
+        'shipping.free': 'Gratis',
+        'shipping.estimate': 'Beraam vir {zone}. Die finale koste word by die betaalpunt bereken.',
+        'shipping.delivery': '{zone}: {time}.',
+        'shipping.addMoreAny': 'Voeg nog {amount} by vir gratis aflewering.',
+
+        'products.all': 'Alle produkte',
+        'products.allDescription': 'Verken ons volledige versameling premium straatdrag',
+        'products.categoryDescription': 'Blaai deur ons {category}-versameling',
+        'products.count': { one: '{count} produk', other: '{count} produkte' },
+        'products.none': 'Geen produkte gevind nie',
+        'products.noneText': 'Probeer ander filters, of kom later terug',
+        'products.viewAll': 'Bekyk alle produkte',
+        'products.soldOut': 'Uitverkoop',
+        'products.featured': 'Uitgelig',
+        'products.viewDetails': 'Bekyk besonderhede',
+        'products.colorCount': { one: '{count} kleur', other: '{count} kleure' },
+        'products.quickAdd': 'Voeg by',
+        'products.quickAddOption': 'Grootte en kleur vir {name}',
+
+        'product.selectSize': 'Kies asseblief ’n grootte',
+        'product.selectColor': 'Kies asseblief ’n kleur',
+        'product.addToCart': 'Voeg by mandjie',
+        'product.soldOut': 'Uitverkoop',
+        'product.allInCart': 'Al die beskikbare voorraad is reeds in jou mandjie',
+        'product.onlyLeft': 'Net {count} oor',
+        'product.oneSize': 'Een grootte',
+        'product.color': 'Kleur:',
+        'product.quantity': 'Hoeveelheid',
+        'product.sku': 'SKU: {sku}',
+        'product.colorSoldOut': '{color} - Uitverkoop',
+        'product.freeShippingNote': 'Gratis aflewering na groot stede op bestellings bo {amount}',
+        'product.returnsNote': 'Maklike terugsendings binne 7 dae',
+        'product.shippingFrom': 'Aflewering vanaf {amount} per bestelling',
+
+        'checkout.emptyText': 'Voeg eers items by jou mandjie voordat jy betaal.',
+        'checkout.required': 'Hierdie veld is verpligtend',
+        'checkout.invalidEmail': 'Voer asseblief ’n geldige e-posadres in',
+        'checkout.invalidPhone': 'Voer asseblief ’n geldige Suid-Afrikaanse telefoonnommer in',
+        'checkout.cancelled': 'Betaling gekanselleer',
+        'checkout.processing': 'Besig...',
+        'checkout.pay': 'Betaal',
+        'checkout.currencyNote': 'Betalings in {requested} is nog nie beskikbaar nie, dus word jy in {currency} gehef.',
+        'checkout.totalChanged': 'Pryse het verander, dus is jou totaal nou {total}. Kyk asseblief jou bestelling na en betaal weer.',
+
+        'payment.pending.title': 'Betaling hangende',
+        'payment.pending.message': 'Ons het nog nie bevestiging van jou betaling ontvang nie. Herlaai asseblief hierdie bladsy oor ’n oomblik.',
+        'payment.review.title': 'Betaling word nagegaan',
+        'payment.review.message': 'Ons gaan jou betaling na en sal binnekort per e-pos met jou in verbinding tree.',
+        'payment.failed.title': 'Betaling nie voltooi nie',
+        'payment.failed.message': 'Jou betaling het nie deurgegaan nie en jy is nie gedebiteer nie. Jou mandjie is gestoor sodat jy weer kan probeer.',
+        'payment.error.title': 'Ons kon nie jou bestelling laai nie',
+        'payment.error.message': 'Kontak ons asseblief met jou bestelverwysing, dan bevestig ons jou betaling.',
+
+        'promo.applied': 'Afslagkode toegepas',
+        'promo.notStarted': 'Hierdie promosie het nog nie begin nie',
+        'promo.expired': 'Hierdie promosie het verval',
+        'promo.minSpend': 'Spandeer {amount} of meer om hierdie promosie te gebruik',
+        'promo.categoryOnly': 'Hierdie promosie geld net vir {category}',
+        'promo.minQuantity': 'Voeg {count} {category} by jou mandjie om hierdie promosie te gebruik',
+        'promo.minItems': {
+            one: 'Voeg {count} item by jou mandjie om hierdie promosie te gebruik',
+            other: 'Voeg {count} items by jou mandjie om hierdie promosie te gebruik'
+        },
+        'promo.percentOff': '{value}% af',
+        'promo.percentOffCategory': '{value}% af op {category}',
+        'promo.amountOff': '{amount} af',
+        'promo.amountOffCategory': '{amount} af op {category}',
+        'promo.freeShipping': 'Gratis aflewering',
+        'promo.bogo': 'Koop {buy}, kry {get} gratis',
+        'promo.bogoCategory': 'Koop {buy}, kry {get} gratis op {category}',
+        'promo.default': 'Promosie',
+        'promo.placeholder': 'Afslagkode',
+        'promo.apply': 'Pas toe',
+        'promo.code': 'Kode',
+        'ui.copied': 'Na knipbord gekopieer',
+
+        'sizes.size': 'Grootte',
+        'sizes.units': 'Eenhede',
+        'sizes.cm': 'cm',
+        'sizes.inches': 'duim',
+        'sizeFinder.open': 'Vind my grootte',
+        'sizeFinder.title': 'Vind my grootte',
+        'sizeFinder.intro': 'Voer jou mates in, dan kies ons die grootte wat die beste pas.',
+        'sizeFinder.howToMeasure': 'Hoe om te meet',
+        'sizeFinder.chest': 'Bors ({unit}) *',
+        'sizeFinder.height': 'Lengte ({unit})',
+        'sizeFinder.enterChest': 'Voer asseblief jou borsmaat in',
+        'sizeFinder.noMatch': 'Ons kon nie ’n grootte vind nie. Kontak ons asseblief, dan help ons jou kies.',
+        'sizeFinder.recommend': 'Ons beveel {size} aan.',
+        'sizeFinder.closest': '{size} pas die naaste, maar jou mates val buite ons tabel.',
+        'sizeFinder.selected': 'Ons het dit vir jou gekies.',
+        'sizeFinder.soldOutIn': 'Dit is uitverkoop in {color}.',
+
+        'tracking.pending.label': 'Wag vir betaling',
+        'tracking.pending.message': 'Ons het nog nie bevestiging van jou betaling ontvang nie.',
+        'tracking.review.label': 'Betaling word nagegaan',
+        'tracking.review.message': 'Ons gaan jou betaling na en kontak jou binnekort per e-pos.',
+        'tracking.failed.label': 'Betaling nie voltooi nie',
+        'tracking.failed.message': 'Jou betaling het nie deurgegaan nie en jy is nie gehef nie.',
+        'tracking.paid.label': 'Bestelling bevestig',
+        'tracking.paid.message': 'Ons het jou betaling ontvang en maak jou bestelling gereed.',
+        'tracking.packed.label': 'Verpak',
+        'tracking.packed.message': 'Jou bestelling is verpak en wag vir die koerier.',
+        'tracking.shipped.label': 'Versend',
+        'tracking.shipped.message': 'Jou bestelling is op pad.',
+        'tracking.delivered.label': 'Afgelewer',
+        'tracking.delivered.message': 'Jou bestelling is afgelewer. Geniet dit!',
+        'tracking.cancelled.label': 'Gekanselleer',
+        'tracking.cancelled.message': 'Hierdie bestelling is gekanselleer. Kontak ons asseblief as jy enige vrae het.',
+        'tracking.notFound': 'Ons kon nie ’n bestelling met daardie verwysing en e-pos vind nie',
+        'tracking.updated': 'Bygewerk {date}',
+        'tracking.notRight': 'Nie heeltemal reg nie?',
+        'tracking.startReturn': 'Begin ’n terugsending of omruiling',
+        'tracking.courier': 'Koerier',
+        'tracking.trackingNumber': 'Naspoornommer',
+        'tracking.trackWithCourier': 'Spoor by die koerier na',
+        'tracking.items': 'Items',
+
+        'contact.nameRequired': 'Voer asseblief jou naam in',
+        'contact.emailRequired': 'Voer asseblief jou e-posadres in',
+        'contact.subjectRequired': 'Kies asseblief ’n onderwerp',
+        'contact.invalidReference': 'Bestelverwysings lyk soos KK_1718000000000_k3j9x2abc (sien jou bevestigings-e-pos)',
+        'contact.messageRequired': 'Voer asseblief ’n boodskap in',
+        'contact.tooLong': 'Hou dit asseblief onder {max} karakters',
+        'contact.rateLimit': {
+            one: 'Jy het al ’n paar boodskappe gestuur. Probeer asseblief weer oor {count} minuut.',
+            other: 'Jy het al ’n paar boodskappe gestuur. Probeer asseblief weer oor {count} minute.'
+        },
+        'contact.thanks': 'Dankie vir jou boodskap!',
+        'contact.thanksReply': 'Dankie vir jou boodskap! Ons antwoord jou binne 24-48 uur.',
+        'contact.sendFailed': 'Jou boodskap kon nie gestuur word nie, probeer asseblief weer',
+        'contact.notSetUp': 'Die kontakvorm is nog nie opgestel nie. E-pos ons asseblief eerder.',
+        'contact.mailto': 'Jou e-posprogram behoort met jou boodskap oop te maak. As dit nie gebeur nie, e-pos ons by {email}.',
+
+        'invoice.receipt': 'Kwitansie',
+        'invoice.taxInvoice': 'Belastingfaktuur',
+        'invoice.invoice': 'Faktuur',
+        'invoice.number': 'Faktuurnr.',
+        'invoice.date': 'Datum',
+        'invoice.paymentRef': 'Betalingsverw.',
+        'invoice.vatNumber': 'BTW-nr. {number}',
+        'invoice.billTo': 'Faktuur aan',
+        'invoice.item': 'Item',
+        'invoice.quantity': 'Hoev.',
+        'invoice.unitPrice': 'Eenheidsprys',
+        'invoice.amount': 'Bedrag',
+        'invoice.discountCode': 'Afslag ({code})',
+        'invoice.totalExcl': 'Totaal uitgesl. {tax}',
+        'invoice.thanks': 'Dankie dat jy by {store} inkopies gedoen het.',
+        'invoice.print': 'Druk'
+    },
+
+    zu: {
+        'nav.home': 'Ikhaya',
+        'nav.shop': 'Thenga',
+        'nav.allProducts': 'Yonke imikhiqizo',
+        'search.placeholder': 'Sesha',
+        'search.label': 'Sesha imikhiqizo',
+        'search.noneText': 'Hlola ukupela noma uzame igama elijwayelekile',
+        'search.noMatch': 'Ayikho imikhiqizo efana no-"{query}"',
+        'search.seeAll': 'Bona yonke imiphumela ka-"{query}"',
+        'language.label': 'Ulimi',
+
+        'footer.tagline': 'Izingubo zasemgwaqweni ezisezingeni eliphezulu. Zibonakalise ngokuzethemba.',
+        'footer.help': 'Usizo',
+        'footer.contact': 'Xhumana',
+        'footer.shipping': 'Ukuthunyelwa',
+        'footer.track': 'Landelela i-oda',
+        'footer.returns': 'Ukubuyisa',
+        'footer.sizeGuide': 'Umhlahlandlela wosayizi',
+        'footer.contactUs': 'Xhumana nathi',
+        'footer.rights': 'Wonke amalungelo agodliwe.',
+
+        'cart.title': 'Inqola yakho',
+        'cart.close': 'Vala inqola',
+        'cart.yourItems': 'Izinto zakho',
+        'cart.subtotal': 'Isamba esingaphansi',
+        'cart.drawerNote': 'Izindleko zokuthumela namakhodi esaphulelo kubalwa lapho ukhokha',
+        'cart.checkout': 'Khokha',
+        'cart.view': 'Buka inqola',
+        'cart.empty': 'Inqola yakho ayinalutho',
+        'cart.emptyText': 'Kubukeka sengathi awukafaki lutho enqoleni yakho.',
+        'cart.startShopping': 'Qala ukuthenga',
+        'cart.remove': 'Susa',
+        'cart.invalidCode': 'Le khodi yesaphulelo ayivumelekile',
+        'cart.added': '{name} ifakwe enqoleni',
+        'cart.removed': '{name} ikhishiwe enqoleni',
+        'cart.soldOut': '{variant} iphelile',
+        'cart.onlyMore': '{variant}: kusele ezingu-{count} kuphela',
+        'cart.allInCart': '{variant}: usunazo zonke ezikhona enqoleni yakho',
+        'cart.onlyAvailable': '{variant}: zingu-{count} kuphela ezikhona',
+        'cart.change.removed': '{variant} ayisatholakali futhi ikhishiwe',
+        'cart.change.discontinued': '{variant} ayisathengiswa futhi ikhishiwe',
+        'cart.change.soldOut': '{variant} iphelile futhi ikhishiwe',
+        'cart.change.quantityReduced': '{variant}: kusele ezingu-{count} kuphela, ngakho inani lakho lehlisiwe',
+        'cart.change.priceChanged': 'Intengo ka-{variant} ishintshile isuka ku-{oldPrice} yaya ku-{newPrice}',
+        'cart.change.updated': '{variant} ibuyekeziwe',
+
+        'summary.subtotal': 'Isamba esingaphelele',
+        'summary.discount': 'Isaphulelo',
+        'summary.shipping': 'Ukuthumela',
+        'summary.total': 'Isamba',
+        'tax.row': '{label} ({rate})',
+        'tax.rowIncluded': '{label} ({rate}) kufakiwe',
+
+        'shipping.addMore': 'Engeza okungu-{amount} ukuze uthunyelelwe mahhala ku-{zone}',
+        'shipping.unlocked': 'Uzothunyelelwa mahhala ku-{zone}',
+        'shipping.free': 'Mahhala',
+        'shipping.estimate': 'Kulinganiselwe i-{zone}. Izindleko zokugcina zibalwa lapho ukhokha.',
+        'shipping.delivery': '{zone}: {time}.',
+        'shipping.addMoreAny': 'Engeza okungu-{amount} ukuze uthunyelelwe mahhala.',
+
+        'products.all': 'Yonke imikhiqizo',
+        'products.allDescription': 'Hlola lonke uqoqo lwethu lwezingubo zasemgwaqweni',
+        'products.categoryDescription': 'Bheka uqoqo lwethu lwe-{category}',
+        'products.count': { one: 'Umkhiqizo ongu-{count}', other: 'Imikhiqizo engu-{count}' },
+        'products.none': 'Ayikho imikhiqizo etholakele',
+        'products.noneText': 'Zama ukushintsha izihlungi, noma uphinde ubuye emuva kwesikhathi',
+        'products.viewAll': 'Buka yonke imikhiqizo',
+        'products.soldOut': 'Iphelile',
+        'products.featured': 'Okukhethekile',
+        'products.viewDetails': 'Buka imininingwane',
+        'products.colorCount': { one: 'Umbala ongu-{count}', other: 'Imibala engu-{count}' },
+        'products.quickAdd': 'Engeza',
+        'products.quickAddOption': 'Usayizi nombala we-{name}',
+
+        'product.selectSize': 'Sicela ukhethe usayizi',
+        'product.selectColor': 'Sicela ukhethe umbala',
+        'product.addToCart': 'Faka enqoleni',
+        'product.soldOut': 'Iphelile',
+        'product.allInCart': 'Yonke isitoko esikhona sesisenqoleni yakho',
+        'product.onlyLeft': 'Kusele ezingu-{count} kuphela',
+        'product.oneSize': 'Usayizi owodwa',
+        'product.color': 'Umbala:',
+        'product.quantity': 'Inani',
+        'product.sku': 'I-SKU: {sku}',
+        'product.colorSoldOut': '{color} - Iphelile',
+        'product.freeShippingNote': 'Ukuthumela mahhala emadolobheni amakhulu kuma-oda angaphezu kuka-{amount}',
+        'product.returnsNote': 'Ukubuyisa okulula phakathi kwezinsuku ezi-7',
+        'product.shippingFrom': 'Ukuthumela kusuka ku-{amount} nge-oda ngalinye',
+
+        'checkout.emptyText': 'Faka izinto enqoleni yakho ngaphambi kokukhokha.',
+        'checkout.required': 'Le nkambu iyadingeka',
+        'checkout.invalidEmail': 'Sicela ufake i-imeyili evumelekile',
+        'checkout.invalidPhone': 'Sicela ufake inombolo yocingo yaseNingizimu Afrika evumelekile',
+        'checkout.cancelled': 'Ukukhokha kukhanselwe',
+        'checkout.processing': 'Kuyacutshungulwa...',
+        'checkout.pay': 'Khokha',
+        'checkout.currencyNote': 'Ukukhokha nge-{requested} akukatholakali okwamanje, ngakho uzokhokhiswa nge-{currency}.',
+        'checkout.totalChanged': 'Amanani ashintshile, ngakho inani lakho manje lingu-{total}. Sicela uhlole i-oda lakho bese ukhokha futhi.',
+
+        'payment.pending.title': 'Inkokhelo isalindile',
+        'payment.pending.message': 'Asikakutholi ukuqinisekiswa kwenkokhelo yakho. Sicela uvuselele leli khasi ngemuva kwesikhashana.',
+        'payment.review.title': 'Inkokhelo iyahlolwa',
+        'payment.review.message': 'Sihlola inkokhelo yakho futhi sizoxhumana nawe nge-imeyili maduze.',
+        'payment.failed.title': 'Inkokhelo ayiphelelanga',
+        'payment.failed.message': 'Inkokhelo yakho ayiphumelelanga futhi awukhokhisiwe. Inqola yakho igciniwe ukuze uzame futhi.',
+        'payment.error.title': 'Asikwazanga ukulayisha i-oda lakho',
+        'payment.error.message': 'Sicela uxhumane nathi usinike inombolo ye-oda lakho, sizoqinisekisa inkokhelo yakho.',
+
+        'promo.applied': 'Ikhodi yesaphulelo isetshenzisiwe',
+        'promo.notStarted': 'Lesi siphakamiso asikaqali',
+        'promo.expired': 'Lesi siphakamiso siphelelwe yisikhathi',
+        'promo.minSpend': 'Sebenzisa okungu-{amount} noma ngaphezulu ukuze uthole lesi siphakamiso',
+        'promo.categoryOnly': 'Lesi siphakamiso sisebenza ku-{category} kuphela',
+        'promo.minQuantity': '{category}: faka ezingu-{count} enqoleni yakho ukuze uthole lesi siphakamiso',
+        'promo.minItems': {
+            one: 'Faka into engu-{count} enqoleni yakho ukuze uthole lesi siphakamiso',
+            other: 'Faka izinto ezingu-{count} enqoleni yakho ukuze uthole lesi siphakamiso'
+        },
+        'promo.percentOff': 'Isaphulelo sika-{value}%',
+        'promo.percentOffCategory': 'Isaphulelo sika-{value}% ku-{category}',
+        'promo.amountOff': 'Isaphulelo sika-{amount}',
+        'promo.amountOffCategory': 'Isaphulelo sika-{amount} ku-{category}',
+        'promo.freeShipping': 'Ukuthunyelwa mahhala',
+        'promo.bogo': 'Thenga {buy} uthole {get} mahhala',
+        'promo.bogoCategory': 'Thenga {buy} uthole {get} mahhala ku-{category}',
+        'promo.default': 'Isiphakamiso',
+        'promo.placeholder': 'Ikhodi yesaphulelo',
+        'promo.apply': 'Sebenzisa',
+        'promo.code': 'Ikhodi',
+        'ui.copied': 'Kukopishiwe',
+
+        'sizes.size': 'Usayizi',
+        'sizes.units': 'Amayunithi',
+        'sizes.cm': 'cm',
+        'sizes.inches': 'amayintshi',
+        'sizeFinder.open': 'Thola usayizi wami',
+        'sizeFinder.title': 'Thola usayizi wami',
+        'sizeFinder.intro': 'Faka izilinganiso zakho, sizokhetha usayizi okulingana kahle kakhulu.',
+        'sizeFinder.howToMeasure': 'Indlela yokulinganisa',
+        'sizeFinder.chest': 'Isifuba ({unit}) *',
+        'sizeFinder.height': 'Ubude ({unit})',
+        'sizeFinder.enterChest': 'Sicela ufake isilinganiso sesifuba sakho',
+        'sizeFinder.noMatch': 'Asikwazanga ukuthola usayizi ofanele. Sicela uxhumane nathi, sizokusiza ukhethe.',
+        'sizeFinder.recommend': 'Sincoma u-{size}.',
+        'sizeFinder.closest': 'U-{size} yilona olingana kakhulu, kodwa izilinganiso zakho zingaphandle kwetafula lethu.',
+        'sizeFinder.selected': 'Sikukhethele lona.',
+        'sizeFinder.soldOutIn': 'Liphelile ku-{color}.',
+
+        'tracking.pending.label': 'Kulindwe inkokhelo',
+        'tracking.pending.message': 'Asikakutholi ukuqinisekiswa kwenkokhelo yakho.',
+        'tracking.review.label': 'Inkokhelo iyabuyekezwa',
+        'tracking.review.message': 'Sihlola inkokhelo yakho futhi sizoxhumana nawe nge-imeyili maduze.',
+        'tracking.failed.label': 'Inkokhelo ayiqediwe',
+        'tracking.failed.message': 'Inkokhelo yakho ayiphumelelanga futhi awukhokhiswanga.',
+        'tracking.paid.label': 'I-oda liqinisekisiwe',
+        'tracking.paid.message': 'Siyitholile inkokhelo yakho futhi silungisa i-oda lakho.',
+        'tracking.packed.label': 'Lipakishiwe',
+        'tracking.packed.message': 'I-oda lakho lipakishiwe futhi lilinde inkampani yokuthumela.',
+        'tracking.shipped.label': 'Lithunyelwe',
+        'tracking.shipped.message': 'I-oda lakho lisendleleni.',
+        'tracking.delivered.label': 'Lilethiwe',
+        'tracking.delivered.message': 'I-oda lakho lilethiwe. Jabulela!',
+        'tracking.cancelled.label': 'Likhanseliwe',
+        'tracking.cancelled.message': 'Leli oda likhanseliwe. Sicela uxhumane nathi uma unemibuzo.',
+        'tracking.notFound': 'Asikwazanga ukuthola i-oda elinaleso sithenjwa ne-imeyili',
+        'tracking.updated': 'Kubuyekezwe ngo-{date}',
+        'tracking.notRight': 'Akulungile ncamashi?',
+        'tracking.startReturn': 'Qala ukubuyisa noma ukushintsha',
+        'tracking.courier': 'Inkampani yokuthumela',
+        'tracking.trackingNumber': 'Inombolo yokulandelela',
+        'tracking.trackWithCourier': 'Landelela enkampanini yokuthumela',
+        'tracking.items': 'Izinto',
+
+        'contact.nameRequired': 'Sicela ufake igama lakho',
+        'contact.emailRequired': 'Sicela ufake i-imeyili yakho',
+        'contact.subjectRequired': 'Sicela ukhethe isihloko',
+        'contact.invalidReference': 'Izithenjwa ze-oda zibukeka kanje: KK_1718000000000_k3j9x2abc (bheka i-imeyili yakho yokuqinisekisa)',
+        'contact.messageRequired': 'Sicela ufake umlayezo',
+        'contact.tooLong': 'Sicela ukugcine kungaphansi kwezinhlamvu ezingu-{max}',
+        'contact.rateLimit': {
+            one: 'Usuthumele imilayezo embalwa. Sicela uzame futhi emzuzwini o-{count}.',
+            other: 'Usuthumele imilayezo embalwa. Sicela uzame futhi emizuzwini engu-{count}.'
+        },
+        'contact.thanks': 'Siyabonga ngomlayezo wakho!',
+        'contact.thanksReply': 'Siyabonga ngomlayezo wakho! Sizokuphendula phakathi kwamahora angu-24-48.',
+        'contact.sendFailed': 'Umlayezo wakho awukwazanga ukuthunyelwa, sicela uzame futhi',
+        'contact.notSetUp': 'Ifomu lokuxhumana alikasethwa. Sicela usithumelele i-imeyili esikhundleni salokho.',
+        'contact.mailto': 'Uhlelo lwakho lwe-imeyili kufanele luvuleke nomlayezo wakho. Uma lungavuleki, sithumele i-imeyili ku-{email}.',
+
+        'invoice.receipt': 'Irisidi',
+        'invoice.taxInvoice': 'I-invoyisi yentela',
+        'invoice.invoice': 'I-invoyisi',
+        'invoice.number': 'Inombolo ye-invoyisi',
+        'invoice.date': 'Usuku',
+        'invoice.paymentRef': 'Isithenjwa senkokhelo',
+        'invoice.vatNumber': 'Inombolo ye-VAT {number}',
+        'invoice.billTo': 'Ikhokhelwa ngu',
+        'invoice.item': 'Into',
+        'invoice.quantity': 'Inani',
+        'invoice.unitPrice': 'Intengo yento eyodwa',
+        'invoice.amount': 'Imali',
+        'invoice.discountCode': 'Isaphulelo ({code})',
+        'invoice.totalExcl': 'Isamba ngaphandle kwe-{tax}',
+        'invoice.thanks': 'Siyabonga ngokuthenga ku-{store}.',
+        'invoice.print': 'Phrinta'
+    }
+};
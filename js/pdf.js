@@ -0,0 +1,213 @@
+/**
+ * PDF Module
+ * A small PDF writer for text, lines and boxes using the built-in Helvetica
+ * fonts, so invoices can be downloaded without a PDF library. Works in the
+ * browser and in the order server.
+ */
+
+const Pdf = {
+    // A4 in points
+    PAGE_WIDTH: 595.28,
+    PAGE_HEIGHT: 841.89,
+
+    // Helvetica and Helvetica-Bold character widths (1/1000 em) for ASCII 32-126
+    WIDTHS: {
+        regular: [
+            278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+            1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+            333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+            556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+        ],
+        bold: [
+            278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+            556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+            975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+            667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+            333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+            611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+        ]
+    },
+
+    // Characters outside Latin-1 that the fonts' WinAnsi encoding still has
+    WIN_ANSI: {
+        '€': 0x80, '…': 0x85, '‘': 0x91, '’': 0x92, '“': 0x93,
+        '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+    },
+
+    /**
+     * Start a new document with one empty page
+     * @returns {Object} Document to draw on with text(), line() and rect()
+     */
+    create() {
+        return { pages: [[]] };
+    },
+
+    /**
+     * Start a new page; later drawing goes on it
+     * @param {Object} doc - Document
+     */
+    addPage(doc) {
+        doc.pages.push([]);
+    },
+
+    /**
+     * Convert a #rrggbb color to PDF's 0-1 components
+     * @param {string} hex - Color
+     * @returns {string} "r g b"
+     */
+    color(hex) {
+        const value = parseInt(String(hex || '#000000').replace('#', ''), 16) || 0;
+        return [value >> 16, (value >> 8) & 255, value & 255].map(c => +(c / 255).toFixed(3)).join(' ');
+    },
+
+    /**
+     * Encode text for the fonts, replacing characters they don't have with "?"
+     * @param {string} text - Text
+     * @returns {string} One character per byte
+     */
+    encode(text) {
+        return Array.from(String(text)).map(char => {
+            const code = char.charCodeAt(0);
+            if (this.WIN_ANSI[char]) return String.fromCharCode(this.WIN_ANSI[char]);
+            if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) return char;
+            return '?';
+        }).join('');
+    },
+
+    /**
+     * Measure text
+     * @param {string} text - Text
+     * @param {number} size - Font size (pt)
+     * @param {boolean} bold - Bold font
+     * @returns {number} Width (pt)
+     */
+    measure(text, size, bold = false) {
+        const widths = bold ? this.WIDTHS.bold : this.WIDTHS.regular;
+        const units = Array.from(this.encode(text)).reduce((total, char) => {
+            const code = char.charCodeAt(0);
+            return total + (code >= 32 && code <= 126 ? widths[code - 32] : 556);
+        }, 0);
+        return units * size / 1000;
+    },
+
+    /**
+     * Shorten text with an ellipsis so it fits a width
+     * @param {string} text - Text
+     * @param {number} width - Available width (pt)
+     * @param {number} size - Font size (pt)
+     * @param {boolean} bold - Bold font
+     * @returns {string} Text that fits
+     */
+    fit(text, width, size, bold = false) {
+        let fitted = String(text);
+        if (this.measure(fitted, size, bold) <= width) return fitted;
+
+        while (fitted.length > 0 && this.measure(`${fitted}…`, size, bold) > width) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted.trimEnd()}…`;
+    },
+
+    /**
+     * Draw text on the current page
+     * @param {Object} doc - Document
+     * @param {number} x - Left edge (pt), or the right edge/center when align is 'right'/'center'
+     * @param {number} y - Baseline, measured from the top of the page (pt)
+     * @param {string} text - Text
+     * @param {Object} options - { size, bold, color, align }
+     */
+    text(doc, x, y, text, options = {}) {
+        const size = options.size || 10;
+        const width = this.measure(text, size, options.bold);
+        const left = options.align === 'right' ? x - width : options.align === 'center' ? x - width / 2 : x;
+        const escaped = this.encode(text).replace(/[\\()]/g, '\\$&');
+
+        doc.pages[doc.pages.length - 1].push(
+            `BT /${options.bold ? 'F2' : 'F1'} ${size} Tf ${this.color(options.color)} rg ` +
+            `${left.toFixed(2)} ${(this.PAGE_HEIGHT - y).toFixed(2)} Td (${escaped}) Tj ET`
+        );
+    },
+
+    /**
+     * Draw a line on the current page
+     * @param {Object} doc - Document
+     * @param {number} x1 - Start x (pt)
+     * @param {number} y1 - Start y from the top (pt)
+     * @param {number} x2 - End x (pt)
+     * @param {number} y2 - End y from the top (pt)
+     * @param {Object} options - { color, width }
+     */
+    line(doc, x1, y1, x2, y2, options = {}) {
+        doc.pages[doc.pages.length - 1].push(
+            `${this.color(options.color)} RG ${options.width || 0.5} w ` +
+            `${x1.toFixed(2)} ${(this.PAGE_HEIGHT - y1).toFixed(2)} m ${x2.toFixed(2)} ${(this.PAGE_HEIGHT - y2).toFixed(2)} l S`
+        );
+    },
+
+    /**
+     * Draw a filled box on the current page
+     * @param {Object} doc - Document
+     * @param {number} x - Left (pt)
+     * @param {number} y - Top, from the top of the page (pt)
+     * @param {number} width - Width (pt)
+     * @param {number} height - Height (pt)
+     * @param {string} color - Fill color (#rrggbb)
+     */
+    rect(doc, x, y, width, height, color) {
+        doc.pages[doc.pages.length - 1].push(
+            `${this.color(color)} rg ${x.toFixed(2)} ${(this.PAGE_HEIGHT - y - height).toFixed(2)} ${width.toFixed(2)} ${height.toFixed(2)} re f`
+        );
+    },
+
+    /**
+     * Write the document out as PDF
+     * @param {Object} doc - Document
+     * @param {Object} info - { title, author }
+     * @returns {string} PDF file, one character per byte (see toBytes)
+     */
+    output(doc, info = {}) {
+        const objects = [];
+        // Object numbers start at 1, so each object's number is the new length
+        const add = body => objects.push(body);
+        const string = text => `(${this.encode(text || '').replace(/[\\()]/g, '\\$&')})`;
+
+        add('<< /Type /Catalog /Pages 2 0 R >>');
+        add(''); // Pages, filled in once the page objects are numbered
+        add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+        add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+        const infoId = add(`<< /Title ${string(info.title)} /Author ${string(info.author)} >>`);
+
+        const pageIds = doc.pages.map(operations => {
+            const content = operations.join('\n');
+            const contentId = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+            return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${this.PAGE_WIDTH} ${this.PAGE_HEIGHT}] ` +
+                `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${contentId} 0 R >>`);
+        });
+        objects[1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+        let pdf = '%PDF-1.4\n%âãÏÓ\n';
+        const offsets = objects.map((body, i) => {
+            const offset = pdf.length;
+            pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+
+        const xref = pdf.length;
+        pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info ${infoId} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+
+        return pdf;
+    },
+
+    /**
+     * Convert output() to bytes for a Blob or file
+     * @param {string} pdf - PDF from output()
+     * @returns {Uint8Array} Bytes
+     */
+    toBytes(pdf) {
+        return Uint8Array.from(pdf, char => char.charCodeAt(0));
+    }
+};
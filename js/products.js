@@ -4,38 +4,159 @@
  */
 
 const Products = {
+    CACHE_KEY: 'kamelkross_catalog',
+    // Bump when the shape of parsed products changes so old caches are ignored
+    CACHE_VERSION: 6,
+    // Image widths offered to browsers in srcset (see getImageSrcset)
+    IMAGE_WIDTHS: [400, 800, 1200, 1600],
     items: [],
     categories: [],
+    errors: [],
+    fetchError: null,
     loaded: false,
+    listeners: [],
+    request: null,
 
     /**
-     * Fetch products from Google Sheets CSV
+     * Get products, from the local cache when possible
+     * A cached catalog is returned straight away and refreshed in the background
+     * once it's older than CONFIG.catalogCacheTTL.
      * @returns {Promise<Array>} Array of product objects
      */
     async fetch() {
-        if (this.loaded && this.items.length > 0) {
+        if (this.loaded) {
             return this.items;
         }
 
-        try {
-            const response = await fetch(CONFIG.googleSheetCSV);
-            if (!response.ok) {
-                throw new Error('Failed to fetch products');
-            }
+        if (CONFIG.demoMode) {
+            this.setItems(this.getDemoProducts());
+            this.loaded = true;
+            return this.items;
+        }
 
-            const csvText = await response.text();
-            this.items = this.parseCSV(csvText);
-            this.categories = this.extractCategories();
+        const cached = this.readCache();
+        if (cached) {
+            this.setItems(cached.items);
             this.loaded = true;
 
+            if (Date.now() - cached.savedAt > CONFIG.catalogCacheTTL) {
+                // Errors are already logged; keep showing the cached catalog
+                this.refresh().catch(() => {});
+            }
+
             return this.items;
+        }
+
+        try {
+            await this.refresh();
+            this.loaded = true;
         } catch (error) {
-            console.error('Error fetching products:', error);
-            // Return demo products if fetch fails
-            this.items = this.getDemoProducts();
-            this.categories = this.extractCategories();
-            return this.items;
+            // Nothing cached to fall back to, so show no products rather than fake ones
+            this.setItems([]);
+        }
+
+        return this.items;
+    },
+
+    /**
+     * Fetch the latest catalog from Google Sheets and update the cache
+     * Listeners are notified if a background refresh changes the catalog
+     * @returns {Promise<Array>} Array of product objects
+     */
+    refresh() {
+        if (!this.request) {
+            const sheets = [CSV.fetch(CONFIG.googleSheetCSV)];
+            if (CONFIG.variantsSheetCSV) {
+                sheets.push(CSV.fetch(CONFIG.variantsSheetCSV));
+            }
+
+            this.request = Promise.all(sheets)
+                .then(([rows, variantRows]) => {
+                    const items = this.parseRows(rows);
+                    if (variantRows) {
+                        this.parseVariantRows(variantRows, items);
+                    }
+                    const changed = JSON.stringify(items) !== JSON.stringify(this.items);
+
+                    this.setItems(items);
+                    this.fetchError = null;
+                    this.writeCache(items);
+
+                    if (changed && this.loaded) {
+                        this.listeners.forEach(callback => callback(this.items));
+                    }
+
+                    return this.items;
+                })
+                .catch(error => {
+                    console.error('Error fetching products:', error);
+                    this.fetchError = error.message;
+                    throw error;
+                })
+                .finally(() => {
+                    this.request = null;
+                });
+        }
+
+        return this.request;
+    },
+
+    /**
+     * Register a callback for when a background refresh changes the catalog
+     * @param {Function} callback - Called with the new products
+     */
+    onUpdate(callback) {
+        this.listeners.push(callback);
+    },
+
+    /**
+     * Replace the loaded products
+     * @param {Array} items - Product objects
+     */
+    setItems(items) {
+        this.items = items;
+        this.categories = this.extractCategories();
+    },
+
+    /**
+     * Read the cached catalog from localStorage
+     * @returns {Object|null} { savedAt, items } or null if missing or from another version/sheet
+     */
+    readCache() {
+        try {
+            const cached = JSON.parse(localStorage.getItem(this.CACHE_KEY));
+            if (cached && cached.version === this.CACHE_VERSION && cached.source === this.getCacheSource()) {
+                return cached;
+            }
+        } catch (error) {
+            console.error('Error reading catalog cache:', error);
         }
+        return null;
+    },
+
+    /**
+     * Save the catalog to localStorage
+     * @param {Array} items - Product objects
+     */
+    writeCache(items) {
+        try {
+            localStorage.setItem(this.CACHE_KEY, JSON.stringify({
+                version: this.CACHE_VERSION,
+                source: this.getCacheSource(),
+                savedAt: Date.now(),
+                items: items
+            }));
+        } catch (error) {
+            console.error('Error saving catalog cache:', error);
+        }
+    },
+
+    /**
+     * Identify the sheets a cached catalog came from
+     * @returns {string} Sheet URLs
+     */
+    getCacheSource() {
+        return [CONFIG.googleSheetCSV, CONFIG.variantsSheetCSV || ''].join(' ');
     },
 
     /**
@@ -44,65 +165,423 @@ const Products = {
      * @returns {Array} Array of product objects
      */
     parseCSV(csv) {
-        const lines = csv.split('\n').filter(line => line.trim());
-        if (lines.length < 2) return [];
+        return this.parseRows(CSV.parse(csv));
+    },
 
-        const headers = this.parseCSVLine(lines[0]).map(h => h.toLowerCase().trim().replace(/\s+/g, '_'));
+    /**
+     * Turn parsed sheet rows into product objects
+     * Rows that fail validation are skipped and recorded in `errors`
+     * @param {Array<Array<string>>} rows - Parsed CSV rows, header first
+     * @returns {Array} Array of product objects
+     */
+    parseRows(rows) {
+        this.errors = [];
+        if (rows.length < 2) return [];
+
+        const headers = rows[0].map(h => CSV.normalizeHeader(h));
         const products = [];
+        const seenIds = {};
 
-        for (let i = 1; i < lines.length; i++) {
-            const values = this.parseCSVLine(lines[i]);
+        for (let i = 1; i < rows.length; i++) {
+            const values = rows[i];
+            if (CSV.isBlankRow(values)) continue;
+
+            // Sheet row number, counting the header as row 1
+            const rowNumber = i + 1;
             const product = {};
+            const problems = [];
 
             headers.forEach((header, index) => {
-                let value = values[index] || '';
+                let value = (values[index] || '').trim();
 
                 // Parse specific fields
-                if (header === 'price' || header === 'shipping') {
-                    value = parseFloat(value) || 0;
-                } else if (header === 'sizes' || header === 'colors' || header === 'images') {
+                if (header === 'price' || header === 'weight' || header === 'compare_at_price') {
+                    const number = this.parseNumber(value);
+                    if (Number.isNaN(number)) {
+                        problems.push(`${header} "${value}" is not a number`);
+                    }
+                    value = number || 0;
+                } else if (['sizes', 'colors', 'images', 'related', 'pairs_with'].includes(header)) {
                     value = value.split(',').map(v => v.trim()).filter(v => v);
-                } else if (header === 'in_stock' || header === 'featured') {
+                } else if (header === 'sale_starts' || header === 'sale_ends') {
+                    const time = this.parseSaleDate(value, header === 'sale_ends');
+                    if (Number.isNaN(time)) {
+                        problems.push(`${header} "${value}" is not a date (use YYYY-MM-DD or YYYY-MM-DD HH:MM)`);
+                    }
+                    value = time || null;
+                } else if (header === 'stock') {
+                    value = this.parseStock(value);
+                } else if (header === 'in_stock' || header === 'featured' || header === 'final_sale') {
                     value = value.toLowerCase() === 'yes' || value.toLowerCase() === 'true' || value === '1';
+                } else if (header === 'tax_class') {
+                    if (value && !Tax.isClass(value)) {
+                        problems.push(`tax_class "${value}" is not one of ${Object.keys(CONFIG.tax.classes).join(', ')}`);
+                    }
+                    value = value.toLowerCase();
                 }
 
                 product[header] = value;
             });
 
             // Ensure required fields
-            if (product.id && product.name && product.price) {
-                products.push(product);
+            if (!product.id) {
+                problems.push('missing id');
+            } else if (seenIds[product.id]) {
+                problems.push(`duplicate id (already used on row ${seenIds[product.id]})`);
+            }
+            if (!product.name) {
+                problems.push('missing name');
+            }
+            if (!product.price && !problems.some(p => p.startsWith('price'))) {
+                problems.push('missing price');
+            }
+
+            if (problems.length > 0) {
+                this.errors.push({ row: rowNumber, id: product.id || '', problems: problems });
+                continue;
             }
+
+            seenIds[product.id] = rowNumber;
+            products.push(product);
+        }
+
+        if (this.errors.length > 0) {
+            console.warn(`Product sheet: skipped ${this.errors.length} invalid row(s)`);
+            this.errors.forEach(error => {
+                console.warn(`  Row ${error.row}${error.id ? ` (${error.id})` : ''}: ${error.problems.join(', ')}`);
+            });
         }
 
         return products;
     },
 
     /**
-     * Parse a single CSV line handling quoted values
-     * @param {string} line - CSV line
-     * @returns {Array} Array of values
+     * Read the variants sheet and attach each variant to its product
+     * A product's sizes and colors then come from its variants, and the variants'
+     * stock replaces the product's stock column. Rows that fail validation are
+     * skipped and added to `errors` with sheet: 'variants'.
+     * @param {Array<Array<string>>} rows - Parsed CSV rows, header first
+     * @param {Array} products - Products from parseRows
+     */
+    parseVariantRows(rows, products) {
+        if (rows.length < 2) return;
+
+        const headers = rows[0].map(h => CSV.normalizeHeader(h));
+        const byId = new Map(products.map(product => [product.id, product]));
+        const seenSkus = {};
+        const seenOptions = {};
+        const errors = [];
+
+        for (let i = 1; i < rows.length; i++) {
+            if (CSV.isBlankRow(rows[i])) continue;
+
+            const rowNumber = i + 1;
+            const cells = {};
+            headers.forEach((header, index) => {
+                cells[header] = (rows[i][index] || '').trim();
+            });
+
+            const problems = [];
+            const product = byId.get(cells.product_id);
+            const variant = {
+                sku: cells.sku || '',
+                size: cells.size || 'One Size',
+                color: cells.color || 'Default',
+                price: null,
+                compare_at_price: null,
+                images: (cells.images || '').split(',').map(v => v.trim()).filter(v => v),
+                stock: cells.stock ? parseInt(cells.stock, 10) : null
+            };
+
+            ['price', 'compare_at_price'].forEach(field => {
+                const number = this.parseNumber(cells[field]);
+                if (Number.isNaN(number)) {
+                    problems.push(`${field} "${cells[field]}" is not a number`);
+                }
+                variant[field] = number || null;
+            });
+
+            if (!cells.product_id) {
+                problems.push('missing product_id');
+            } else if (!product) {
+                problems.push(`product_id "${cells.product_id}" is not in the product sheet`);
+            }
+            if (!variant.sku) {
+                problems.push('missing sku');
+            } else if (seenSkus[variant.sku]) {
+                problems.push(`duplicate sku (already used on row ${seenSkus[variant.sku]})`);
+            }
+            if (Number.isNaN(variant.stock)) {
+                problems.push(`stock "${cells.stock}" is not a number`);
+            }
+
+            const optionKey = `${cells.product_id}|${this.variantKey(variant.size, variant.color)}`;
+            if (product && seenOptions[optionKey]) {
+                problems.push(`${variant.size} / ${variant.color} is already on row ${seenOptions[optionKey]}`);
+            }
+
+            if (problems.length > 0) {
+                errors.push({ sheet: 'variants', row: rowNumber, id: cells.sku || cells.product_id || '', problems: problems });
+                continue;
+            }
+
+            variant.stock = variant.stock === null ? null : Math.max(0, variant.stock);
+            seenSkus[variant.sku] = rowNumber;
+            seenOptions[optionKey] = rowNumber;
+
+            if (!product.variants) {
+                product.variants = [];
+            }
+            product.variants.push(variant);
+        }
+
+        products.forEach(product => {
+            if (!product.variants) return;
+
+            const unique = values => values.filter((value, i, all) => all.indexOf(value) === i);
+            product.sizes = unique(product.variants.map(v => v.size)).filter(size => size !== 'One Size');
+            product.colors = unique(product.variants.map(v => v.color)).filter(color => color !== 'Default');
+            product.stock = null;
+        });
+
+        if (errors.length > 0) {
+            console.warn(`Variants sheet: skipped ${errors.length} invalid row(s)`);
+            errors.forEach(error => {
+                console.warn(`  Row ${error.row}${error.id ? ` (${error.id})` : ''}: ${error.problems.join(', ')}`);
+            });
+            this.errors = this.errors.concat(errors);
+        }
+    },
+
+    /**
+     * Parse a numeric cell, allowing thousands separators and a currency symbol
+     * @param {string} value - Cell value
+     * @returns {number} Number, 0 for a blank cell, or NaN if not numeric
+     */
+    parseNumber(value) {
+        if (!value) return 0;
+
+        const cleaned = value.replace(/[\s,]/g, '').replace(CONFIG.store.currencySymbol, '');
+        return /^-?\d+(\.\d+)?$/.test(cleaned) ? parseFloat(cleaned) : NaN;
+    },
+
+    /**
+     * Parse a sale start/end cell as South African time (SAST, UTC+2)
+     * A date without a time starts at midnight, or for sale_ends runs to the end of that day.
+     * @param {string} value - 'YYYY-MM-DD' or 'YYYY-MM-DD HH:MM'
+     * @param {boolean} endOfDay - Treat a bare date as the end of the day
+     * @returns {number|null} Timestamp (ms), null if blank, NaN if invalid
+     */
+    parseSaleDate(value, endOfDay = false) {
+        if (!value) return null;
+
+        const match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[ T](\d{1,2}):(\d{2}))?$/);
+        if (!match) return NaN;
+
+        const [, year, month, day, hours, minutes] = match.map(Number);
+        const SAST_OFFSET = 2;
+
+        if (match[4] === undefined) {
+            return Date.UTC(year, month - 1, day + (endOfDay ? 1 : 0), -SAST_OFFSET);
+        }
+        return Date.UTC(year, month - 1, day, hours - SAST_OFFSET, minutes);
+    },
+
+    /**
+     * Check if a product's sale price applies right now
+     * `price` is the sale price and `compare_at_price` the regular price. Without
+     * sale_starts/sale_ends the sale runs until compare_at_price is cleared.
+     * @param {Object} product - Product object
+     * @param {number} now - Timestamp to check (defaults to now)
+     * @returns {boolean}
+     */
+    isOnSale(product, now = Date.now()) {
+        if (!product.compare_at_price || product.compare_at_price <= product.price) return false;
+        if (product.sale_starts && now < product.sale_starts) return false;
+        if (product.sale_ends && now >= product.sale_ends) return false;
+        return true;
+    },
+
+    /**
+     * Get the price a product sells for right now
+     * Outside a scheduled sale window that's the regular (compare at) price.
+     * @param {Object} product - Product object
+     * @returns {number} Price
+     */
+    getPrice(product) {
+        if (this.isOnSale(product) || !(product.compare_at_price > product.price)) {
+            return product.price;
+        }
+        return product.compare_at_price;
+    },
+
+    /**
+     * Get the percentage off during a sale
+     * @param {Object} product - Product object
+     * @returns {number} Whole percent, 0 when not on sale
+     */
+    getDiscountPercent(product) {
+        if (!this.isOnSale(product)) return 0;
+        return Math.round((1 - product.price / product.compare_at_price) * 100);
+    },
+
+    /**
+     * Find a product's variant for a size/color combination
+     * @param {Object} product - Product object
+     * @param {string} size - Size
+     * @param {string} color - Color
+     * @returns {Object|null} Variant, or null if the product has no variants sheet rows or no match
+     */
+    getVariant(product, size, color) {
+        if (!product || !product.variants) return null;
+        return product.variants.find(v => v.size === size && v.color === color) || null;
+    },
+
+    /**
+     * Find a product's variant by SKU
+     * @param {Object} product - Product object
+     * @param {string} sku - SKU
+     * @returns {Object|null} Variant or null
+     */
+    getVariantBySku(product, sku) {
+        if (!product || !product.variants || !sku) return null;
+        return product.variants.find(v => v.sku === sku) || null;
+    },
+
+    /**
+     * Get a product with a variant's price overrides applied
+     * The result works with getPrice, isOnSale and renderPrice.
+     * @param {Object} product - Product object
+     * @param {Object|null} variant - Variant (see getVariant)
+     * @returns {Object} Product object
+     */
+    applyVariant(product, variant) {
+        if (!variant) return product;
+
+        return {
+            ...product,
+            price: variant.price || product.price,
+            compare_at_price: variant.compare_at_price || product.compare_at_price
+        };
+    },
+
+    /**
+     * Get the gallery images for a size/color
+     * A variant's own images win; otherwise the first variant in the color with
+     * images, so picking a colorway swaps the gallery before a size is chosen.
+     * @param {Object} product - Product object
+     * @param {string} size - Selected size
+     * @param {string} color - Selected color
+     * @returns {Array<string>} Image URLs, main image first
+     */
+    getImages(product, size, color) {
+        const variants = product.variants || [];
+        const variant = [this.getVariant(product, size, color), ...variants.filter(v => v.color === color)]
+            .find(v => v && v.images.length > 0);
+
+        const images = variant ? variant.images : [product.image, ...(product.images || [])];
+        return images.filter((v, i, a) => v && a.indexOf(v) === i);
+    },
+
+    /**
+     * Render a product's price, with the regular price struck through during a sale
+     * or an automatic promotion (see Promotions.getProductPrice)
+     * @param {Object} product - Product object
+     * @param {boolean} showPercent - Also show the percentage off
+     * @returns {Object} Safe HTML (see Html.html)
+     */
+    renderPrice(product, showPercent = false) {
+        const price = Promotions.getProductPrice(product);
+        const regular = this.isOnSale(product) ? product.compare_at_price : this.getPrice(product);
+
+        if (price >= regular) {
+            return Html.html`${this.formatPrice(price)}`;
+        }
+
+        return Html.html`
+            <span class="price-sale">${this.formatPrice(price)}</span>
+            <s class="price-compare">${this.formatPrice(regular)}</s>
+            ${showPercent && Html.html`<span class="price-off">${I18n.t('promo.percentOff', { value: Math.round((1 - price / regular) * 100) })}</span>`}
+        `;
+    },
+
+    /**
+     * Parse the stock column into a per-variant quantity map
+     * Format: "S|Black:4, M|Black:0" (size|color:quantity)
+     * @param {string} value - Raw stock column value
+     * @returns {Object|null} Variant key to quantity map, or null if stock is not tracked
      */
-    parseCSVLine(line) {
-        const values = [];
-        let current = '';
-        let inQuotes = false;
+    parseStock(value) {
+        if (!value) return null;
 
-        for (let i = 0; i < line.length; i++) {
-            const char = line[i];
+        const stock = {};
+        value.split(',').forEach(entry => {
+            const separator = entry.lastIndexOf(':');
+            if (separator < 0) return;
 
-            if (char === '"') {
-                inQuotes = !inQuotes;
-            } else if (char === ',' && !inQuotes) {
-                values.push(current.trim());
-                current = '';
-            } else {
-                current += char;
+            const key = entry.slice(0, separator).trim().toLowerCase();
+            const quantity = parseInt(entry.slice(separator + 1), 10);
+            if (key) {
+                stock[key] = Math.max(0, quantity || 0);
             }
+        });
+
+        return stock;
+    },
+
+    /**
+     * Build the stock lookup key for a size/color combination
+     * @param {string} size - Size
+     * @param {string} color - Color
+     * @returns {string} Variant key
+     */
+    variantKey(size, color) {
+        return `${size}|${color}`.toLowerCase();
+    },
+
+    /**
+     * Get units in stock for a size/color combination
+     * Products without a stock column are treated as unlimited
+     * @param {Object} product - Product object
+     * @param {string} size - Selected size
+     * @param {string} color - Selected color
+     * @returns {number} Units available (Infinity when untracked)
+     */
+    getStock(product, size, color) {
+        if (!product || product.in_stock === false) return 0;
+
+        if (product.variants) {
+            const variant = this.getVariant(product, size, color);
+            if (!variant) return 0;
+            return variant.stock === null ? Infinity : variant.stock;
         }
 
-        values.push(current.trim());
-        return values;
+        if (!product.stock) return Infinity;
+
+        const hasSizes = product.sizes && product.sizes.length > 0;
+        const hasColors = product.colors && product.colors.length > 0;
+
+        // Single-option products may list just the size or just the color
+        const keys = [this.variantKey(size, color)];
+        if (!hasColors) keys.push(String(size).toLowerCase());
+        if (!hasSizes) keys.push(String(color).toLowerCase());
+
+        const key = keys.find(k => Object.prototype.hasOwnProperty.call(product.stock, k));
+        return key ? product.stock[key] : 0;
+    },
+
+    /**
+     * Check if every variant of a product is sold out
+     * @param {Object} product - Product object
+     * @returns {boolean}
+     */
+    isSoldOut(product) {
+        if (!product || product.in_stock === false) return true;
+        if (product.variants) {
+            return product.variants.every(variant => variant.stock !== null && variant.stock <= 0);
+        }
+        if (!product.stock) return false;
+        return Object.values(product.stock).every(quantity => quantity <= 0);
     },
 
     /**
@@ -119,6 +598,135 @@ const Products = {
         return Array.from(cats);
     },
 
+    /**
+     * Extract filterable sizes, colors and price range from products
+     * Options keep the order they first appear in the sheet; values are lowercase.
+     * @param {Array} products - Products to look through
+     * @returns {Object} { sizes: [{ value, label }], colors: [{ value, label }], minPrice, maxPrice }
+     *   (prices in the shopper's currency)
+     */
+    extractFacets(products = this.items) {
+        const sizes = new Map();
+        const colors = new Map();
+
+        products.forEach(product => {
+            (product.sizes || []).forEach(size => {
+                if (!sizes.has(size.toLowerCase())) sizes.set(size.toLowerCase(), size);
+            });
+            (product.colors || []).forEach(color => {
+                if (!colors.has(color.toLowerCase())) colors.set(color.toLowerCase(), color);
+            });
+        });
+
+        const prices = products.map(p => Currency.convertPrice(this.getPrice(p)));
+        const toOptions = map => Array.from(map, ([value, label]) => ({ value: value, label: label }));
+
+        return {
+            sizes: toOptions(sizes),
+            colors: toOptions(colors),
+            minPrice: prices.length > 0 ? Math.min(...prices) : 0,
+            maxPrice: prices.length > 0 ? Math.max(...prices) : 0
+        };
+    },
+
+    /**
+     * Filter products by category, sizes, colors, price range, availability and sales
+     * A product matches a size or color facet if it comes in any of the selected options.
+     * With inStock, a selected size/color must also have stock.
+     * @param {Array} products - Products to filter
+     * @param {Object} filters - { category, sizes, colors, minPrice, maxPrice, inStock, onSale }; sizes/colors
+     *   lowercase, prices in the shopper's currency
+     * @returns {Array} Matching products
+     */
+    filter(products, filters) {
+        const f = { category: 'all', sizes: [], colors: [], minPrice: null, maxPrice: null, inStock: false, onSale: false, ...filters };
+        const lower = list => (list || []).map(value => value.toLowerCase());
+
+        return products.filter(product => {
+            if (f.category !== 'all' && (!product.category || product.category.toLowerCase() !== f.category)) {
+                return false;
+            }
+            if (f.sizes.length > 0 && !lower(product.sizes).some(size => f.sizes.includes(size))) {
+                return false;
+            }
+            if (f.colors.length > 0 && !lower(product.colors).some(color => f.colors.includes(color))) {
+                return false;
+            }
+            if (f.minPrice !== null && Currency.convertPrice(this.getPrice(product)) < f.minPrice) {
+                return false;
+            }
+            if (f.maxPrice !== null && Currency.convertPrice(this.getPrice(product)) > f.maxPrice) {
+                return false;
+            }
+            if (f.onSale && !this.isOnSale(product)) {
+                return false;
+            }
+            return !f.inStock || this.hasStockIn(product, f.sizes, f.colors);
+        });
+    },
+
+    /**
+     * Check if a product has stock in any of the given sizes and colors
+     * @param {Object} product - Product object
+     * @param {Array<string>} sizes - Lowercase sizes, empty for any
+     * @param {Array<string>} colors - Lowercase colors, empty for any
+     * @returns {boolean}
+     */
+    hasStockIn(product, sizes, colors) {
+        const productSizes = product.sizes && product.sizes.length > 0 ? product.sizes : ['One Size'];
+        const productColors = product.colors && product.colors.length > 0 ? product.colors : ['Default'];
+        const matchingColors = productColors.filter(color => colors.length === 0 || colors.includes(color.toLowerCase()));
+
+        return productSizes
+            .filter(size => sizes.length === 0 || sizes.includes(size.toLowerCase()))
+            .some(size => matchingColors.some(color => this.getStock(product, size, color) > 0));
+    },
+
+    /**
+     * Count results for each facet option, given the other active filters
+     * Each count is what the results would be with only that option selected in its group.
+     * @param {Array} products - Products to count
+     * @param {Object} filters - Active filters (see filter)
+     * @returns {Object} { categories, sizes, colors } keyed by lowercase value, plus inStock and onSale
+     */
+    countFacets(products, filters) {
+        const facets = this.extractFacets(products);
+        const count = changes => this.filter(products, { ...filters, ...changes }).length;
+        const tally = (values, key) => {
+            const counts = {};
+            values.forEach(value => {
+                counts[value] = count({ [key]: key === 'category' ? value : [value] });
+            });
+            return counts;
+        };
+
+        return {
+            categories: tally(this.categories.map(c => c.toLowerCase()), 'category'),
+            sizes: tally(facets.sizes.map(o => o.value), 'sizes'),
+            colors: tally(facets.colors.map(o => o.value), 'colors'),
+            inStock: count({ inStock: true }),
+            onSale: count({ onSale: true })
+        };
+    },
+
+    /**
+     * Check a product is still offered in a size and color
+     * Products without sizes or colors are sold as 'One Size' / 'Default'
+     * @param {Object} product - Product object
+     * @param {string} size - Size
+     * @param {string} color - Color
+     * @returns {boolean}
+     */
+    hasVariant(product, size, color) {
+        if (product.variants) {
+            return this.getVariant(product, size, color) !== null;
+        }
+
+        const sizes = product.sizes && product.sizes.length > 0 ? product.sizes : ['One Size'];
+        const colors = product.colors && product.colors.length > 0 ? product.colors : ['Default'];
+        return sizes.includes(size) && colors.includes(color);
+    },
+
     /**
      * Get product by ID
      * @param {string} id - Product ID
@@ -151,18 +759,14 @@ const Products = {
     },
 
     /**
-     * Search products by name or description
+     * Search products by name, category, color or description, best matches first
+     * See Search.query for ranking and typo tolerance.
      * @param {string} query - Search query
      * @returns {Array} Matching products
      */
     search(query) {
         if (!query) return this.items;
-        const q = query.toLowerCase();
-        return this.items.filter(p =>
-            p.name.toLowerCase().includes(q) ||
-            (p.description && p.description.toLowerCase().includes(q)) ||
-            (p.category && p.category.toLowerCase().includes(q))
-        );
+        return Search.query(query).map(result => result.product);
     },
 
     /**
@@ -175,14 +779,18 @@ const Products = {
         const sorted = [...products];
         switch (sortBy) {
             case 'price-low':
-                sorted.sort((a, b) => a.price - b.price);
+                sorted.sort((a, b) => this.getPrice(a) - this.getPrice(b));
                 break;
             case 'price-high':
-                sorted.sort((a, b) => b.price - a.price);
+                sorted.sort((a, b) => this.getPrice(b) - this.getPrice(a));
                 break;
             case 'name':
                 sorted.sort((a, b) => a.name.localeCompare(b.name));
                 break;
+            case 'sale':
+                // Biggest discounts first, then everything else in sheet order
+                sorted.sort((a, b) => this.getDiscountPercent(b) - this.getDiscountPercent(a));
+                break;
             case 'newest':
             default:
                 // Keep original order (assumes newest first in sheet)
@@ -192,25 +800,53 @@ const Products = {
     },
 
     /**
-     * Format price with currency
-     * @param {number} price - Price value
+     * Format a store-currency price in the shopper's currency
+     * (use Currency.format for amounts already converted, e.g. order totals)
+     * @param {number} price - Price in the store currency
      * @returns {string} Formatted price
      */
     formatPrice(price) {
-        return `${CONFIG.store.currencySymbol}${price.toLocaleString()}`;
+        return Currency.format(Currency.convertPrice(price));
     },
 
     /**
      * Convert Google Drive link to direct image URL
      * @param {string} url - Google Drive share link
+     * @param {number} width - Width in pixels Drive should resize to
      * @returns {string} Direct image URL
      */
-    convertGoogleDriveUrl(url) {
+    convertGoogleDriveUrl(url, width = 800) {
         if (!url) return '';
 
+        const fileId = this.getDriveFileId(url);
+        if (fileId) {
+            return `https://drive.google.com/thumbnail?id=${fileId}&sz=w${width}`;
+        }
+
         // Already a direct link or not Google Drive
+        return url;
+    },
+
+    /**
+     * Build a srcset so browsers download the smallest image that looks sharp
+     * Only Google Drive images can be resized; other URLs get no srcset.
+     * @param {string} url - Image URL as in the sheet
+     * @param {Array<number>} widths - Widths to offer
+     * @returns {string} srcset value, empty if the image can't be resized
+     */
+    getImageSrcset(url, widths = this.IMAGE_WIDTHS) {
+        if (!url || !this.getDriveFileId(url)) return '';
+        return widths.map(width => `${this.convertGoogleDriveUrl(url, width)} ${width}w`).join(', ');
+    },
+
+    /**
+     * Get the file ID from a Google Drive link
+     * @param {string} url - Google Drive link
+     * @returns {string|null} File ID, or null if it isn't a Drive link
+     */
+    getDriveFileId(url) {
         if (!url.includes('drive.google.com')) {
-            return url;
+            return null;
         }
 
         // Extract file ID from various Google Drive URL formats
@@ -234,15 +870,11 @@ const Products = {
             fileId = ucMatch[1];
         }
 
-        if (fileId) {
-            return `https://drive.google.com/thumbnail?id=${fileId}&sz=w800`;
-        }
-
-        return url;
+        return fileId;
     },
 
     /**
-     * Get demo products for testing/development
+     * Get demo products, only used when CONFIG.demoMode is on
      * @returns {Array} Demo product data
      */
     getDemoProducts() {
@@ -252,10 +884,21 @@ const Products = {
                 name: 'Classic Logo Tee',
                 description: 'Premium cotton t-shirt featuring the iconic Kamel Kross logo. Comfortable fit with high-quality screen printing.',
                 price: 450,
-                shipping: 75,
+                weight: 0.3,
                 category: 'T-Shirts',
                 sizes: ['S', 'M', 'L', 'XL', 'XXL'],
                 colors: ['Black', 'White', 'Navy'],
+                pairs_with: ['cap-001'],
+                // Same shape parseVariantRows builds: the White colorway has its own photo and XXL costs more
+                variants: ['Black', 'White', 'Navy'].flatMap(color => ['S', 'M', 'L', 'XL', 'XXL'].map(size => ({
+                    sku: `KK-TEE001-${color.slice(0, 3).toUpperCase()}-${size}`,
+                    size: size,
+                    color: color,
+                    price: size === 'XXL' ? 500 : null,
+                    compare_at_price: null,
+                    images: color === 'White' ? ['https://images.unsplash.com/photo-1583743814966-8936f5b7be1a?w=600'] : [],
+                    stock: null
+                }))),
                 image: 'https://images.unsplash.com/photo-1521572163474-6864f9cf17ab?w=600',
                 images: ['https://images.unsplash.com/photo-1521572163474-6864f9cf17ab?w=600'],
                 in_stock: true,
@@ -266,7 +909,10 @@ const Products = {
                 name: 'Urban Streetwear Tee',
                 description: 'Bold streetwear design on soft-touch fabric. Stand out with this statement piece.',
                 price: 550,
-                shipping: 75,
+                compare_at_price: 650,
+                sale_starts: null,
+                sale_ends: null,
+                weight: 0.3,
                 category: 'T-Shirts',
                 sizes: ['S', 'M', 'L', 'XL'],
                 colors: ['Black', 'Grey'],
@@ -280,10 +926,11 @@ const Products = {
                 name: 'Limited Edition Graphic Tee',
                 description: 'Exclusive limited edition design. Premium heavyweight cotton.',
                 price: 650,
-                shipping: 75,
+                weight: 0.3,
                 category: 'T-Shirts',
                 sizes: ['M', 'L', 'XL'],
                 colors: ['Black'],
+                stock: { 'm|black': 3, 'l|black': 5, 'xl|black': 0 },
                 image: 'https://images.unsplash.com/photo-1583743814966-8936f5b7be1a?w=600',
                 images: ['https://images.unsplash.com/photo-1583743814966-8936f5b7be1a?w=600'],
                 in_stock: true,
@@ -294,7 +941,7 @@ const Products = {
                 name: 'Signature Snapback',
                 description: 'Adjustable snapback cap with embroidered Kamel Kross logo. One size fits most.',
                 price: 350,
-                shipping: 50,
+                weight: 0.2,
                 category: 'Caps',
                 sizes: ['One Size'],
                 colors: ['Black', 'Navy', 'Khaki'],
@@ -308,7 +955,7 @@ const Products = {
                 name: 'Dad Cap - Minimal',
                 description: 'Relaxed fit dad cap with subtle branding. Curved brim, adjustable strap.',
                 price: 299,
-                shipping: 50,
+                weight: 0.2,
                 category: 'Caps',
                 sizes: ['One Size'],
                 colors: ['Black', 'White', 'Olive'],
@@ -322,7 +969,7 @@ const Products = {
                 name: 'Trucker Cap',
                 description: 'Classic trucker style with mesh back. Perfect for sunny days.',
                 price: 320,
-                shipping: 50,
+                weight: 0.2,
                 category: 'Caps',
                 sizes: ['One Size'],
                 colors: ['Black/White', 'Navy/White'],
@@ -334,27 +981,55 @@ const Products = {
         ];
     },
 
+    /**
+     * Render a quick preview of a product's colors for its card
+     * @param {Object} product - Product object
+     * @param {number} limit - Most swatches to show before "+N"
+     * @returns {Object} Safe HTML (see Html.html), empty for single-color products
+     */
+    renderSwatches(product, limit = 5) {
+        const colors = product.colors || [];
+        if (colors.length < 2) return Html.html``;
+
+        return Html.html`
+            <ul class="card-swatches" aria-label="${I18n.t('products.colorCount', { count: colors.length })}">
+                ${colors.slice(0, limit).map(color => Colors.renderSwatch(color))}
+                ${colors.length > limit && Html.html`<li class="card-swatches-more">+${colors.length - limit}</li>`}
+            </ul>
+        `;
+    },
+
     /**
      * Generate product card HTML
      * @param {Object} product - Product object
-     * @returns {string} HTML string
+     * @param {Array<string>} highlight - Search terms to mark in the name
+     * @returns {Object} Safe HTML (see Html.html)
      */
-    renderCard(product) {
+    renderCard(product, highlight = []) {
         const imageUrl = this.convertGoogleDriveUrl(product.image);
+        const [offer] = Promotions.getForProduct(product);
 
-        return `
+        return Html.html`
             <article class="product-card" data-id="${product.id}">
                 <div class="product-image">
-                    <img src="${imageUrl}" alt="${product.name}" loading="lazy">
-                    ${product.featured ? '<span class="product-badge">Featured</span>' : ''}
+                    <img src="${Html.url(imageUrl)}" srcset="${this.getImageSrcset(product.image, [400, 800])}"
+                         sizes="(max-width: 768px) 50vw, 25vw" alt="${product.name}" loading="lazy">
+                    ${this.isSoldOut(product)
+                        ? Html.html`<span class="product-badge sold-out">${I18n.t('products.soldOut')}</span>`
+                        : this.isOnSale(product)
+                            ? Html.html`<span class="product-badge sale">-${this.getDiscountPercent(product)}%</span>`
+                            : offer
+                                ? Html.html`<span class="product-badge promo">${Promotions.getLabel(offer)}</span>`
+                                : product.featured && Html.html`<span class="product-badge">${I18n.t('products.featured')}</span>`}
                     <div class="product-actions">
-                        <a href="product.html?id=${product.id}" class="btn btn-sm">View Details</a>
+                        <a href="product.html?id=${encodeURIComponent(product.id)}" class="btn btn-sm">${I18n.t('products.viewDetails')}</a>
                     </div>
                 </div>
                 <div class="product-info">
                     <span class="product-category">${product.category || ''}</span>
-                    <h3 class="product-name">${product.name}</h3>
-                    <p class="product-price">${this.formatPrice(product.price)}</p>
+                    <h3 class="product-name">${highlight.length > 0 ? Search.highlight(product.name, highlight) : product.name}</h3>
+                    <p class="product-price">${this.renderPrice(product)}</p>
+                    ${this.renderSwatches(product)}
                 </div>
             </article>
         `;
@@ -0,0 +1,380 @@
+/**
+ * Promotions Module
+ * Handles discount codes and automatic promotions from config or Google Sheets
+ */
+
+const Promotions = {
+    rules: [],
+    loaded: false,
+    request: null,
+
+    /**
+     * Load promotion rules from config and the optional promotions sheet
+     * Every page that shows prices waits for this, so callers share one request.
+     * @returns {Promise<Array>} Array of promotion rules
+     */
+    fetch() {
+        if (!this.request) {
+            this.request = (async () => {
+                const rules = (CONFIG.promotions || []).map(rule => this.normalize(rule));
+
+                if (CONFIG.promotionsSheetCSV) {
+                    try {
+                        const rows = await CSV.fetch(CONFIG.promotionsSheetCSV);
+                        rules.push(...this.parseRows(rows));
+                    } catch (error) {
+                        console.error('Error fetching promotions:', error);
+                    }
+                }
+
+                this.rules = rules.filter(rule => rule.active);
+                this.loaded = true;
+
+                return this.rules;
+            })();
+        }
+
+        return this.request;
+    },
+
+    /**
+     * Turn parsed sheet rows into rule objects
+     * @param {Array<Array<string>>} rows - Parsed CSV rows, header first
+     * @returns {Array} Array of promotion rules
+     */
+    parseRows(rows) {
+        if (rows.length < 2) return [];
+
+        const headers = rows[0].map(h => CSV.normalizeHeader(h));
+        const rules = [];
+
+        rows.slice(1).forEach(values => {
+            if (CSV.isBlankRow(values)) return;
+
+            const rule = {};
+            headers.forEach((header, index) => {
+                rule[header] = (values[index] || '').trim();
+            });
+
+            if (rule.type) {
+                rules.push(this.normalize(rule));
+            }
+        });
+
+        return rules;
+    },
+
+    /**
+     * Normalize a rule from config or the sheet
+     * @param {Object} rule - Raw rule
+     * @returns {Object} Normalized rule
+     */
+    normalize(rule) {
+        const active = String(rule.active === undefined ? '' : rule.active).toLowerCase();
+
+        return {
+            code: String(rule.code || '').trim().toUpperCase(),
+            type: String(rule.type || '').trim().toLowerCase().replace(/[\s-]+/g, '_'),
+            value: parseFloat(rule.value) || 0,
+            min_spend: parseFloat(rule.min_spend) || 0,
+            min_quantity: parseInt(rule.min_quantity, 10) || 0,
+            category: String(rule.category || '').trim(),
+            starts: rule.starts || '',
+            expires: rule.expires || '',
+            buy: parseInt(rule.buy, 10) || 1,
+            get: parseInt(rule.get, 10) || 1,
+            description: rule.description || '',
+            active: rule.active === true || !['no', 'false', '0'].includes(active)
+        };
+    },
+
+    /**
+     * Find a rule by its discount code
+     * @param {string} code - Discount code
+     * @returns {Object|null} Rule or null
+     */
+    getByCode(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+        if (!normalized) return null;
+        return this.rules.find(rule => rule.code === normalized) || null;
+    },
+
+    /**
+     * Get promotions that apply without a code
+     * @returns {Array} Automatic rules
+     */
+    getAutomatic() {
+        return this.rules.filter(rule => !rule.code);
+    },
+
+    /**
+     * Parse a YYYY-MM-DD date as South African time, like sale dates (see Products.parseSaleDate)
+     * @param {string} value - Date string
+     * @param {boolean} endOfDay - Give the end of the day instead of midnight
+     * @returns {number|null} Timestamp (ms)
+     */
+    parseDate(value, endOfDay = false) {
+        const match = String(value).match(/^\d{4}-\d{1,2}-\d{1,2}/);
+        if (!match) return null;
+        return Products.parseSaleDate(match[0], endOfDay);
+    },
+
+    /**
+     * Get cart items a rule applies to
+     * @param {Object} rule - Promotion rule
+     * @param {Array} items - Cart items
+     * @returns {Array} Eligible items
+     */
+    getEligibleItems(rule, items) {
+        if (!rule.category) return items;
+        return items.filter(item =>
+            item.category && item.category.toLowerCase() === rule.category.toLowerCase()
+        );
+    },
+
+    /**
+     * Check whether a rule is running today
+     * @param {Object} rule - Promotion rule
+     * @returns {string} Reason it isn't, or empty string if it is
+     */
+    checkDates(rule) {
+        const now = Date.now();
+        const starts = this.parseDate(rule.starts);
+        // Expiry dates are inclusive
+        const expires = this.parseDate(rule.expires, true);
+
+        if (starts && now < starts) {
+            return I18n.t('promo.notStarted');
+        }
+
+        if (expires && now >= expires) {
+            return I18n.t('promo.expired');
+        }
+
+        return '';
+    },
+
+    /**
+     * Check whether a rule can be applied to the cart
+     * @param {Object} rule - Promotion rule
+     * @param {Array} items - Cart items
+     * @returns {string} Reason it doesn't apply, or empty string if it does
+     */
+    checkEligibility(rule, items) {
+        const dateError = this.checkDates(rule);
+        if (dateError) {
+            return dateError;
+        }
+
+        const subtotal = items.reduce((total, item) => total + (item.price * item.quantity), 0);
+        if (rule.min_spend && subtotal < rule.min_spend) {
+            return I18n.t('promo.minSpend', { amount: Products.formatPrice(rule.min_spend) });
+        }
+
+        const eligible = this.getEligibleItems(rule, items);
+        if (eligible.length === 0) {
+            return I18n.t('promo.categoryOnly', { category: rule.category });
+        }
+
+        const quantity = eligible.reduce((total, item) => total + item.quantity, 0);
+        const minQuantity = rule.type === 'bogo'
+            ? Math.max(rule.min_quantity, rule.buy + rule.get)
+            : rule.min_quantity;
+
+        if (minQuantity && quantity < minQuantity) {
+            return rule.category
+                ? I18n.t('promo.minQuantity', { count: minQuantity, category: rule.category })
+                : I18n.t('promo.minItems', { count: minQuantity });
+        }
+
+        return '';
+    },
+
+    /**
+     * Calculate the discount amount for a rule
+     * @param {Object} rule - Promotion rule
+     * @param {Array} items - Cart items
+     * @returns {number} Discount amount
+     */
+    getAmount(rule, items) {
+        const eligible = this.getEligibleItems(rule, items);
+        const eligibleSubtotal = eligible.reduce((total, item) => total + (item.price * item.quantity), 0);
+
+        switch (rule.type) {
+            case 'percentage':
+                return eligibleSubtotal * (rule.value / 100);
+            case 'fixed':
+                return Math.min(rule.value, eligibleSubtotal);
+            case 'bogo': {
+                // Cheapest units are free: every (buy + get) units gets `get` free
+                const prices = [];
+                eligible.forEach(item => {
+                    for (let i = 0; i < item.quantity; i++) prices.push(item.price);
+                });
+                prices.sort((a, b) => a - b);
+
+                const freeUnits = Math.floor(prices.length / (rule.buy + rule.get)) * rule.get;
+                const percentOff = rule.value > 0 ? rule.value : 100;
+                return prices.slice(0, freeUnits).reduce((total, price) => total + price, 0) * (percentOff / 100);
+            }
+            default:
+                return 0;
+        }
+    },
+
+    /**
+     * Get the automatic promotions running now that cover a product
+     * Product cards and pages show these; the cart applies them.
+     * @param {Object} product - Product object
+     * @returns {Array} Automatic rules
+     */
+    getForProduct(product) {
+        return this.getAutomatic().filter(rule =>
+            !this.checkDates(rule) && this.getEligibleItems(rule, [product]).length > 0
+        );
+    },
+
+    /**
+     * Get a product's price after its automatic percentage promotions
+     * Only those without a minimum spend or quantity count, since the cart takes
+     * them off every unit whatever else is in it. Each is rounded on its own, as in
+     * calculate(), so a single unit costs the same here and in the cart.
+     * @param {Object} product - Product object
+     * @returns {number} Price
+     */
+    getProductPrice(product) {
+        const price = Products.getPrice(product);
+        const unit = [{ ...product, price: price, quantity: 1 }];
+        const discount = this.getForProduct(product)
+            .filter(rule => rule.type === 'percentage' && !rule.min_spend && !rule.min_quantity)
+            .reduce((total, rule) => total + Math.round(this.getAmount(rule, unit) * 100) / 100, 0);
+
+        return Math.max(0, Math.round((price - discount) * 100) / 100);
+    },
+
+    /**
+     * Get a short label for an applied rule
+     * @param {Object} rule - Promotion rule
+     * @returns {string} Label
+     */
+    getLabel(rule) {
+        if (rule.description) return rule.description;
+
+        // Messages with a category end in "Category", e.g. promo.percentOffCategory
+        const scoped = key => (rule.category ? `${key}Category` : key);
+        switch (rule.type) {
+            case 'percentage':
+                return I18n.t(scoped('promo.percentOff'), { value: rule.value, category: rule.category });
+            case 'fixed':
+                return I18n.t(scoped('promo.amountOff'), { amount: Products.formatPrice(rule.value), category: rule.category });
+            case 'free_shipping':
+                return I18n.t('promo.freeShipping');
+            case 'bogo':
+                return I18n.t(scoped('promo.bogo'), { buy: rule.buy, get: rule.get, category: rule.category });
+            default:
+                return rule.code || I18n.t('promo.default');
+        }
+    },
+
+    /**
+     * Calculate all discounts for the cart
+     * @param {Array} items - Cart items
+     * @param {string} code - Entered discount code
+     * @returns {Object} { discount, freeShipping, applied, error }
+     */
+    calculate(items, code) {
+        const result = { discount: 0, freeShipping: false, applied: [], error: '' };
+        if (items.length === 0) return result;
+
+        const rules = this.getAutomatic();
+        const codeRule = this.getByCode(code);
+
+        if (code && !codeRule) {
+            result.error = I18n.t('cart.invalidCode');
+        } else if (codeRule) {
+            rules.push(codeRule);
+        }
+
+        rules.forEach(rule => {
+            const reason = this.checkEligibility(rule, items);
+            if (reason) {
+                if (rule === codeRule) result.error = reason;
+                return;
+            }
+
+            const amount = Math.round(this.getAmount(rule, items) * 100) / 100;
+            if (rule.type === 'free_shipping') {
+                result.freeShipping = true;
+            }
+
+            result.discount += amount;
+            result.applied.push({
+                code: rule.code,
+                type: rule.type,
+                label: this.getLabel(rule),
+                amount: amount
+            });
+        });
+
+        // Never discount more than the products cost
+        const subtotal = items.reduce((total, item) => total + (item.price * item.quantity), 0);
+        result.discount = Math.min(Math.round(result.discount * 100) / 100, subtotal);
+
+        return result;
+    },
+
+    /**
+     * Wire up the discount code form in a summary panel
+     * Pages re-render from Cart's promoChanged event
+     */
+    initForm() {
+        const form = document.getElementById('promo-form');
+        if (!form) return;
+
+        const input = document.getElementById('promo-input');
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+
+            const code = input.value.trim();
+            if (!code) return;
+
+            const error = Cart.applyPromoCode(code);
+            if (error) {
+                UI.toast(error, 'error');
+                return;
+            }
+
+            input.value = '';
+            UI.toast(I18n.t('promo.applied'), 'success');
+        });
+
+        document.getElementById('promo-remove').addEventListener('click', () => {
+            Cart.removePromoCode();
+        });
+    },
+
+    /**
+     * Update the discount code form and discount row in a summary panel
+     * @param {Object} totals - Result of Cart.getTotals()
+     */
+    renderSummary(totals) {
+        const result = Cart.getPromotionResult();
+
+        const applied = document.getElementById('promo-applied');
+        if (applied) {
+            applied.style.display = Cart.promoCode ? 'flex' : 'none';
+            document.getElementById('promo-form').style.display = Cart.promoCode ? 'none' : 'flex';
+            document.getElementById('promo-code').textContent = Cart.promoCode;
+            document.getElementById('promo-message').textContent = result.error;
+        }
+
+        const discountRow = document.getElementById('summary-discount-row');
+        if (discountRow) {
+            discountRow.style.display = result.discount > 0 ? 'flex' : 'none';
+            document.getElementById('summary-discount-label').textContent =
+                result.applied.filter(p => p.amount > 0).map(p => p.label).join(', ') || I18n.t('summary.discount');
+            document.getElementById('summary-discount').textContent = `-${Currency.format(totals.discount, totals.currency)}`;
+        }
+    }
+};
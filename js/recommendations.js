@@ -0,0 +1,225 @@
+/**
+ * Recommendations Module
+ * Recently viewed products, related products and cross-sells from the sheet's
+ * `related` and `pairs_with` columns
+ */
+
+const Recommendations = {
+    STORAGE_KEY: 'kamelkross_recent',
+    RECENT_LIMIT: 12,
+
+    /**
+     * Remember that a product was viewed
+     * @param {string} id - Product ID
+     */
+    trackView(id) {
+        const recent = [id, ...this.getRecentIds().filter(recentId => recentId !== id)];
+
+        try {
+            localStorage.setItem(this.STORAGE_KEY, JSON.stringify(recent.slice(0, this.RECENT_LIMIT)));
+        } catch (error) {
+            console.error('Error saving recently viewed:', error);
+        }
+    },
+
+    /**
+     * Get recently viewed product IDs, most recent first
+     * @returns {Array<string>} Product IDs
+     */
+    getRecentIds() {
+        try {
+            const recent = JSON.parse(localStorage.getItem(this.STORAGE_KEY));
+            return Array.isArray(recent) ? recent : [];
+        } catch (error) {
+            return [];
+        }
+    },
+
+    /**
+     * Get recently viewed products that are still in the catalog
+     * @param {Array<string>} exclude - Product IDs to leave out
+     * @param {number} limit - Maximum products
+     * @returns {Array} Products
+     */
+    getRecentlyViewed(exclude = [], limit = 4) {
+        return this.getRecentIds()
+            .filter(id => !exclude.includes(id))
+            .map(id => Products.getById(id))
+            .filter(Boolean)
+            .slice(0, limit);
+    },
+
+    /**
+     * Look up products listed in a sheet column, skipping missing and sold out ones
+     * @param {Array<string>} ids - Product IDs
+     * @param {Array<string>} exclude - Product IDs to leave out
+     * @returns {Array} Products
+     */
+    getListed(ids, exclude) {
+        return (ids || [])
+            .filter(id => !exclude.includes(id))
+            .map(id => Products.getById(id))
+            .filter(product => product && !Products.isSoldOut(product));
+    },
+
+    /**
+     * Get products similar to a product
+     * Products listed in its `related` column come first, then the rest of its category.
+     * @param {Object} product - Product object
+     * @param {Array<string>} exclude - Product IDs to leave out (besides the product itself)
+     * @param {number} limit - Maximum products
+     * @returns {Array} Products
+     */
+    getRelated(product, exclude = [], limit = 4) {
+        const skip = [product.id, ...exclude];
+        const listed = this.getListed(product.related, skip);
+        const sameCategory = Products.getByCategory(product.category)
+            .filter(p => !skip.includes(p.id) && !listed.includes(p));
+
+        return [...listed, ...sameCategory].slice(0, limit);
+    },
+
+    /**
+     * Get products from other categories that go with a product ("complete the look")
+     * Products listed in its `pairs_with` column come first, then the best match from
+     * each other category: one sharing a color, then featured, then sheet order.
+     * @param {Object} product - Product object
+     * @param {Array<string>} exclude - Product IDs to leave out (besides the product itself)
+     * @param {number} limit - Maximum products
+     * @returns {Array} Products
+     */
+    getCompleteTheLook(product, exclude = [], limit = 4) {
+        const skip = [product.id, ...exclude];
+        const listed = this.getListed(product.pairs_with, skip);
+        const colors = (product.colors || []).map(color => color.toLowerCase());
+
+        const score = candidate => {
+            const sharesColor = (candidate.colors || []).some(color => colors.includes(color.toLowerCase()));
+            return (sharesColor ? 2 : 0) + (candidate.featured ? 1 : 0);
+        };
+
+        const bestPerCategory = Products.categories
+            .filter(category => category !== product.category)
+            .map(category => Products.getByCategory(category)
+                .filter(p => !skip.includes(p.id) && !listed.includes(p) && !Products.isSoldOut(p))
+                .reduce((best, p) => (!best || score(p) > score(best) ? p : best), null))
+            .filter(Boolean);
+
+        return [...listed, ...bestPerCategory].slice(0, limit);
+    },
+
+    /**
+     * Get products to suggest alongside the cart ("frequently bought together")
+     * Items listed in the cart products' `pairs_with` columns come first, most
+     * often listed first, then complete-the-look picks for the cart's products.
+     * @param {Array} items - Cart items
+     * @param {number} limit - Maximum products
+     * @returns {Array} Products
+     */
+    getFrequentlyBoughtTogether(items, limit = 3) {
+        const inCart = items.map(item => item.id);
+        const products = inCart.map(id => Products.getById(id)).filter(Boolean);
+
+        const counts = new Map();
+        products.forEach(product => {
+            this.getListed(product.pairs_with, inCart).forEach(p => counts.set(p, (counts.get(p) || 0) + 1));
+        });
+
+        const suggestions = Array.from(counts.keys()).sort((a, b) => counts.get(b) - counts.get(a));
+        products.forEach(product => {
+            const exclude = [...inCart, ...suggestions.map(p => p.id)];
+            suggestions.push(...this.getCompleteTheLook(product, exclude, limit));
+        });
+
+        return suggestions.slice(0, limit);
+    },
+
+    /**
+     * Get the size/color combinations of a product that can be added to the cart
+     * @param {Object} product - Product object
+     * @returns {Array} Options: { size, color, label }
+     */
+    getOptions(product) {
+        const sizes = product.sizes && product.sizes.length > 0 ? product.sizes : ['One Size'];
+        const colors = product.colors && product.colors.length > 0 ? product.colors : ['Default'];
+        const options = [];
+
+        colors.forEach(color => {
+            sizes.forEach(size => {
+                if (!Products.hasVariant(product, size, color)) return;
+                if (Products.getStock(product, size, color) - Cart.getQuantityInCart(product.id, size, color) <= 0) return;
+
+                const label = [size, color].filter(v => v !== 'One Size' && v !== 'Default').join(' / ');
+                options.push({ size: size, color: color, label: label || I18n.t('product.oneSize') });
+            });
+        });
+
+        return options;
+    },
+
+    /**
+     * Render a compact product with an add to cart button
+     * Products with several sizes or colors get a dropdown to pick one first.
+     * @param {Object} product - Product object
+     * @returns {Object} Safe HTML (see Html.html)
+     */
+    renderQuickAdd(product) {
+        const url = `product.html?id=${encodeURIComponent(product.id)}`;
+        const options = this.getOptions(product);
+
+        return Html.html`
+            <article class="quick-add" data-id="${product.id}">
+                <a href="${url}" class="quick-add-image">
+                    <img src="${Html.url(Products.convertGoogleDriveUrl(product.image, 200))}" alt="${product.name}" loading="lazy">
+                </a>
+                <div class="quick-add-info">
+                    <a href="${url}" class="quick-add-name">${product.name}</a>
+                    <span class="quick-add-price">${Products.renderPrice(product)}</span>
+                    ${options.length > 1 && Html.html`
+                        <select class="quick-add-option" aria-label="${I18n.t('products.quickAddOption', { name: product.name })}">
+                            ${options.map((option, i) => Html.html`<option value="${i}">${option.label}</option>`)}
+                        </select>
+                    `}
+                </div>
+                <button type="button" class="btn btn-primary btn-sm" data-quick-add="${product.id}"
+                        ${options.length === 0 && Html.raw('disabled')}>
+                    ${I18n.t(options.length === 0 ? 'products.soldOut' : 'products.quickAdd')}
+                </button>
+            </article>
+        `;
+    },
+
+    /**
+     * Add products to the cart from quick add buttons inside a container
+     * @param {HTMLElement} container - Element containing renderQuickAdd output
+     */
+    bindQuickAdd(container) {
+        container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-quick-add]');
+            if (!button) return;
+
+            const product = Products.getById(button.dataset.quickAdd);
+            if (!product) return;
+
+            const select = button.closest('.quick-add').querySelector('.quick-add-option');
+            const option = this.getOptions(product)[select ? Number(select.value) : 0];
+            if (option) {
+                Cart.add(product, option.size, option.color, 1);
+            }
+        });
+    },
+
+    /**
+     * Fill a section with product cards, hiding it when there's nothing to show
+     * @param {string} sectionId - Section element ID
+     * @param {Array} products - Products
+     * @param {Function} render - Renders one product (defaults to Products.renderCard)
+     */
+    renderSection(sectionId, products, render = p => Products.renderCard(p)) {
+        const section = document.getElementById(sectionId);
+        if (!section) return;
+
+        section.querySelector('[data-recommendations]').innerHTML = products.map(render).join('');
+        section.style.display = products.length > 0 ? 'block' : 'none';
+    }
+};
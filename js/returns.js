@@ -0,0 +1,367 @@
+/**
+ * Returns Module
+ * Return and exchange policy checks and the returns form. The order server
+ * loads this file too, so the policy is enforced with the same rules the
+ * returns page shows.
+ */
+
+const Returns = {
+    DAY: 24 * 60 * 60 * 1000,
+    TYPES: {
+        refund: 'Refund',
+        exchange: 'Exchange'
+    },
+    REASONS: {
+        too_small: 'Too small',
+        too_large: 'Too large',
+        not_as_pictured: 'Doesn\'t look like the photos',
+        defective: 'Damaged or defective',
+        wrong_item: 'Wrong item sent',
+        changed_mind: 'Changed my mind',
+        other: 'Other'
+    },
+    // Reasons where we pay for return shipping (see returns.html)
+    OUR_FAULT: ['defective', 'wrong_item'],
+    MAX_COMMENTS: 1000,
+
+    /**
+     * Get the return policy from config
+     * @returns {Object} { windowDays, nonReturnableCategories, address }
+     */
+    getPolicy() {
+        return {
+            windowDays: 14,
+            nonReturnableCategories: [],
+            address: '',
+            ...(CONFIG.returns || {})
+        };
+    },
+
+    /**
+     * Get when an order's return window closes
+     * The window runs from delivery, or from payment if delivery wasn't recorded.
+     * @param {Object} order - Stored order
+     * @returns {number} Time (ms)
+     */
+    getWindowEnd(order) {
+        const fulfillment = order.fulfillment || {};
+        const start = new Date(fulfillment.deliveredAt || order.paidAt || order.createdAt).getTime();
+        return start + this.getPolicy().windowDays * this.DAY;
+    },
+
+    /**
+     * Check if an order can have returns started
+     * @param {Object} order - Stored order
+     * @param {number} now - Current time (ms)
+     * @returns {string} Why not, empty if it can
+     */
+    getClosedReason(order, now = Date.now()) {
+        const fulfillment = order.fulfillment || {};
+
+        if (order.status !== 'paid') {
+            return 'Only paid orders can be returned.';
+        }
+        if (fulfillment.status === 'cancelled') {
+            return 'This order was cancelled, so there\'s nothing to return.';
+        }
+        if (now > this.getWindowEnd(order)) {
+            const from = fulfillment.deliveredAt ? 'delivery' : 'payment';
+            return `Returns for this order closed on ${UI.formatDate(this.getWindowEnd(order))}, ${this.getPolicy().windowDays} days after ${from}.`;
+        }
+
+        return '';
+    },
+
+    /**
+     * Check if an ordered item can be returned
+     * @param {Object|null} product - The item's product, if it's still in the catalog
+     * @returns {string} Why not, empty if it can
+     */
+    getNotReturnableReason(product) {
+        if (!product) return '';
+
+        if (product.final_sale) {
+            return 'Final sale';
+        }
+
+        const categories = this.getPolicy().nonReturnableCategories.map(category => category.toLowerCase());
+        if (categories.includes(String(product.category || '').toLowerCase())) {
+            return `No returns on ${product.category}`;
+        }
+
+        return '';
+    },
+
+    /**
+     * Get the sizes and colors an item could be exchanged for
+     * @param {Object|null} product - The item's product
+     * @param {Object} item - Ordered item
+     * @returns {Array} Options: { size, color, label }
+     */
+    getExchangeOptions(product, item) {
+        if (!product) return [];
+
+        const sizes = product.sizes && product.sizes.length > 0 ? product.sizes : ['One Size'];
+        const colors = product.colors && product.colors.length > 0 ? product.colors : ['Default'];
+        const options = [];
+
+        colors.forEach(color => {
+            sizes.forEach(size => {
+                if (size === item.size && color === item.color) return;
+                if (!Products.hasVariant(product, size, color) || Products.getStock(product, size, color) <= 0) return;
+
+                const label = [size, color].filter(v => v !== 'One Size' && v !== 'Default').join(' / ');
+                options.push({ size: size, color: color, label: label || I18n.t('product.oneSize') });
+            });
+        });
+
+        return options;
+    },
+
+    /**
+     * Work out what can be returned from an order
+     * @param {Object} order - Stored order
+     * @param {Array} previous - Return requests already made for the order
+     * @param {number} now - Current time (ms)
+     * @returns {Object} { reference, windowEndsAt, closedReason, items: [{ index, name, size, color,
+     *                    price, quantity, returnableQuantity, notReturnableReason, exchangeOptions }] }
+     */
+    describeOrder(order, previous = [], now = Date.now()) {
+        const returned = {};
+        previous.forEach(request => {
+            request.items.forEach(line => {
+                returned[line.index] = (returned[line.index] || 0) + line.quantity;
+            });
+        });
+
+        return {
+            reference: order.reference,
+            currency: order.currency,
+            windowEndsAt: new Date(this.getWindowEnd(order)).toISOString(),
+            closedReason: this.getClosedReason(order, now),
+            items: order.items.map((item, index) => {
+                const product = Products.getById(item.id);
+                const returnableQuantity = Math.max(0, item.quantity - (returned[index] || 0));
+
+                return {
+                    index: index,
+                    name: item.name,
+                    sku: item.sku || '',
+                    size: item.size,
+                    color: item.color,
+                    price: item.price,
+                    quantity: item.quantity,
+                    returnableQuantity: returnableQuantity,
+                    notReturnableReason: this.getNotReturnableReason(product) ||
+                        (returnableQuantity === 0 ? 'Already returned' : ''),
+                    exchangeOptions: this.getExchangeOptions(product, item)
+                };
+            })
+        };
+    },
+
+    /**
+     * Validate a return request against the order's description
+     * @param {Object} request - { items: [{ index, quantity, type, reason, exchangeSize, exchangeColor }], comments }
+     * @param {Object} description - From describeOrder()
+     * @returns {Object} { errors: [messages], items: cleaned lines, comments }
+     */
+    validate(request, description) {
+        const errors = [];
+        const comments = String((request && request.comments) || '').trim();
+        const lines = Array.isArray(request && request.items) ? request.items : [];
+
+        if (description.closedReason) {
+            errors.push(description.closedReason);
+        }
+        if (lines.length === 0) {
+            errors.push('Please choose at least one item to return');
+        }
+        if (comments.length > this.MAX_COMMENTS) {
+            errors.push(`Please keep your comments under ${this.MAX_COMMENTS} characters`);
+        }
+
+        const seen = new Set();
+        const items = lines.map(line => {
+            const item = description.items[Number(line.index)];
+            if (!item || seen.has(item.index)) {
+                errors.push('Please choose items from your order');
+                return null;
+            }
+            seen.add(item.index);
+
+            const quantity = parseInt(line.quantity, 10);
+            const cleaned = {
+                index: item.index,
+                name: item.name,
+                sku: item.sku,
+                size: item.size,
+                color: item.color,
+                price: item.price,
+                quantity: quantity,
+                type: String(line.type || ''),
+                reason: String(line.reason || '')
+            };
+
+            if (item.notReturnableReason) {
+                errors.push(`${item.name} can't be returned (${item.notReturnableReason.toLowerCase()})`);
+            } else if (!(quantity > 0 && quantity <= item.returnableQuantity)) {
+                errors.push(`Please choose up to ${item.returnableQuantity} of ${item.name}`);
+            }
+
+            if (!this.TYPES[cleaned.type]) {
+                errors.push(`Please choose a refund or exchange for ${item.name}`);
+            }
+            if (!this.REASONS[cleaned.reason]) {
+                errors.push(`Please tell us why you're returning ${item.name}`);
+            }
+
+            if (cleaned.type === 'exchange') {
+                const option = item.exchangeOptions.find(o => o.size === line.exchangeSize && o.color === line.exchangeColor);
+                if (!option) {
+                    errors.push(`Please choose the size and color you'd like instead of ${item.name}`);
+                } else {
+                    cleaned.exchangeSize = option.size;
+                    cleaned.exchangeColor = option.color;
+                }
+            }
+
+            return cleaned;
+        }).filter(Boolean);
+
+        return { errors: errors, items: items, comments: comments };
+    },
+
+    /**
+     * Render the returnable items of an order as form fields
+     * @param {Object} description - From describeOrder()
+     * @returns {Object} Safe HTML (see Html.html)
+     */
+    renderItems(description) {
+        return Html.html`
+            ${description.items.map(item => {
+                const id = `return-item-${item.index}`;
+                const disabled = Boolean(item.notReturnableReason);
+
+                return Html.html`
+                    <fieldset class="return-item ${disabled ? 'disabled' : ''}" data-index="${item.index}" ${disabled && Html.raw('disabled')}>
+                        <legend class="visually-hidden">${item.name}</legend>
+                        <label class="return-item-select" for="${id}">
+                            <input type="checkbox" id="${id}" name="selected">
+                            <span class="return-item-name">${item.name}</span>
+                            <span class="return-item-meta">${item.size} / ${item.color} · ${Currency.format(item.price, description.currency)} · Ordered ${item.quantity}</span>
+                            ${disabled && Html.html`<span class="return-item-blocked">${item.notReturnableReason}</span>`}
+                        </label>
+
+                        <div class="return-item-options" hidden>
+                            <div class="form-group">
+                                <label for="${id}-quantity">Quantity</label>
+                                <select id="${id}-quantity" name="quantity">
+                                    ${Array.from({ length: item.returnableQuantity }, (_, i) => Html.html`<option value="${i + 1}">${i + 1}</option>`)}
+                                </select>
+                            </div>
+
+                            <div class="form-group">
+                                <label for="${id}-reason">Reason</label>
+                                <select id="${id}-reason" name="reason">
+                                    <option value="">Select a reason</option>
+                                    ${Object.entries(this.REASONS).map(([value, label]) => Html.html`<option value="${value}">${label}</option>`)}
+                                </select>
+                            </div>
+
+                            <div class="form-group">
+                                <span class="return-item-label" id="${id}-type-label">I'd like</span>
+                                <div class="return-type" role="radiogroup" aria-labelledby="${id}-type-label">
+                                    ${Object.entries(this.TYPES).map(([value, label]) => Html.html`
+                                        <label>
+                                            <input type="radio" name="type-${item.index}" value="${value}" ${value === 'refund' && Html.raw('checked')}
+                                                   ${value === 'exchange' && item.exchangeOptions.length === 0 && Html.raw('disabled')}>
+                                            ${label}
+                                        </label>
+                                    `)}
+                                </div>
+                                ${item.exchangeOptions.length === 0 && Html.html`<p class="form-hint">No other sizes or colors are in stock to exchange for.</p>`}
+                            </div>
+
+                            <div class="form-group return-exchange" hidden>
+                                <label for="${id}-exchange">Exchange for</label>
+                                <select id="${id}-exchange" name="exchange">
+                                    ${item.exchangeOptions.map((option, i) => Html.html`<option value="${i}">${option.label}</option>`)}
+                                </select>
+                            </div>
+                        </div>
+                    </fieldset>
+                `;
+            })}
+        `;
+    },
+
+    /**
+     * Read the returns form back into a request
+     * @param {HTMLFormElement} form - Form containing renderItems output
+     * @param {Object} description - From describeOrder()
+     * @returns {Object} { items, comments } for validate() and the server
+     */
+    readForm(form, description) {
+        const items = Array.from(form.querySelectorAll('.return-item:not([disabled])'))
+            .filter(fieldset => fieldset.querySelector('[name="selected"]').checked)
+            .map(fieldset => {
+                const item = description.items[Number(fieldset.dataset.index)];
+                const type = fieldset.querySelector(`[name="type-${item.index}"]:checked`);
+                const line = {
+                    index: item.index,
+                    quantity: Number(fieldset.querySelector('[name="quantity"]').value),
+                    type: type ? type.value : '',
+                    reason: fieldset.querySelector('[name="reason"]').value
+                };
+
+                if (line.type === 'exchange') {
+                    const option = item.exchangeOptions[Number(fieldset.querySelector('[name="exchange"]').value)];
+                    line.exchangeSize = option ? option.size : '';
+                    line.exchangeColor = option ? option.color : '';
+                }
+
+                return line;
+            });
+
+        return { items: items, comments: form.elements.comments.value };
+    },
+
+    /**
+     * Render the confirmation for a submitted return request
+     * @param {Object} request - Stored request from the server
+     * @returns {Object} Safe HTML (see Html.html)
+     */
+    renderConfirmation(request) {
+        const policy = this.getPolicy();
+        const weCoverShipping = request.items.every(line => this.OUR_FAULT.includes(line.reason));
+
+        return Html.html`
+            <div class="return-confirmation">
+                <span class="tracking-reference">Return number</span>
+                <h2 class="return-rma">${request.rma}</h2>
+                <p>We've received your request for order ${request.reference} and sent the details to our team.</p>
+
+                <div class="return-lines">
+                    ${request.items.map(line => Html.html`
+                        <div class="tracking-line">
+                            <span>${line.name} (${line.size}/${line.color}) x${line.quantity}</span>
+                            <span>${line.type === 'exchange' ? `Exchange for ${line.exchangeSize} / ${line.exchangeColor}` : 'Refund'}</span>
+                        </div>
+                    `)}
+                </div>
+
+                <h3>What happens next</h3>
+                <ol class="content-list numbered">
+                    <li>Pack the item(s) unworn with all tags attached, in the original packaging.</li>
+                    <li>Write <strong>${request.rma}</strong> clearly on the package.</li>
+                    <li>${policy.address
+                        ? Html.html`Send it to: <strong>${policy.address}</strong>.`
+                        : 'We\'ll email you the address to send it to within 24-48 hours.'}
+                        ${weCoverShipping ? 'We\'ll cover the return shipping.' : 'Return shipping is at your cost.'}</li>
+                    <li>Once it arrives and passes inspection, we'll send your exchange or refund your original payment method within 5-7 business days.</li>
+                </ol>
+            </div>
+        `;
+    }
+};
@@ -0,0 +1,278 @@
+/**
+ * Search Module
+ * In-browser product search with ranking, typo tolerance and the header search box
+ */
+
+const Search = {
+    // How much a match in each field counts towards a product's score
+    FIELD_WEIGHTS: {
+        name: 10,
+        category: 5,
+        colors: 3,
+        description: 1
+    },
+    SUGGESTION_LIMIT: 6,
+    index: [],
+    indexedItems: null,
+
+    /**
+     * Split text into lowercase word tokens
+     * @param {string} text - Text
+     * @returns {Array<string>} Tokens
+     */
+    tokenize(text) {
+        return String(text || '')
+            .toLowerCase()
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .split(/[^a-z0-9]+/)
+            .filter(Boolean);
+    },
+
+    /**
+     * Build the search index from the loaded products
+     * Rebuilt automatically when Products.items changes.
+     */
+    buildIndex() {
+        this.index = Products.items.map(product => ({
+            product: product,
+            fields: {
+                name: this.tokenize(product.name),
+                category: this.tokenize(product.category),
+                colors: this.tokenize((product.colors || []).join(' ')),
+                description: this.tokenize(product.description)
+            }
+        }));
+        this.indexedItems = Products.items;
+    },
+
+    /**
+     * Edit distance between two words, giving up once it's over max
+     * @param {string} a - First word
+     * @param {string} b - Second word
+     * @param {number} max - Largest distance worth knowing
+     * @returns {number} Distance, or max + 1 if it's larger
+     */
+    distance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+
+        let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+                rowMin = Math.min(rowMin, current[j]);
+            }
+            if (rowMin > max) return max + 1;
+            previous = current;
+        }
+
+        return previous[b.length];
+    },
+
+    /**
+     * How closely a query term matches a word
+     * Exact matches score 1, prefixes (for as-you-type) 0.8, near misses 0.5.
+     * Longer terms allow more typos: one from 4 letters, two from 8.
+     * @param {string} term - Query term
+     * @param {string} word - Indexed word
+     * @returns {number} Match strength, 0 for no match
+     */
+    matchTerm(term, word) {
+        if (word === term) return 1;
+        if (term.length >= 2 && word.startsWith(term)) return 0.8;
+
+        const maxTypos = term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+        if (maxTypos > 0 && this.distance(term, word, maxTypos) <= maxTypos) return 0.5;
+
+        return 0;
+    },
+
+    /**
+     * Search products
+     * Every query term has to match somewhere; name matches rank above description matches.
+     * @param {string} query - Search text
+     * @param {number} limit - Maximum results (0 for all)
+     * @returns {Array} Results: { product, score, terms } where terms are the matched words
+     */
+    query(query, limit = 0) {
+        const terms = this.tokenize(query);
+        if (terms.length === 0) return [];
+
+        if (this.indexedItems !== Products.items) {
+            this.buildIndex();
+        }
+
+        const results = [];
+
+        this.index.forEach((entry, position) => {
+            let score = 0;
+            const matched = new Set();
+
+            const allTermsMatch = terms.every(term => {
+                let best = 0;
+
+                Object.entries(entry.fields).forEach(([field, words]) => {
+                    words.forEach(word => {
+                        const strength = this.matchTerm(term, word);
+                        if (strength > 0) {
+                            matched.add(word);
+                            best = Math.max(best, strength * this.FIELD_WEIGHTS[field]);
+                        }
+                    });
+                });
+
+                score += best;
+                return best > 0;
+            });
+
+            if (allTermsMatch) {
+                results.push({ product: entry.product, score: score, terms: Array.from(matched), position: position });
+            }
+        });
+
+        // Best first; ties keep sheet order
+        results.sort((a, b) => b.score - a.score || a.position - b.position);
+
+        return limit > 0 ? results.slice(0, limit) : results;
+    },
+
+    /**
+     * Wrap matched words in <mark>, escaping everything else
+     * @param {string} text - Text to show
+     * @param {Array<string>} terms - Matched words (from query results)
+     * @returns {Object} Safe HTML (see Html.html)
+     */
+    highlight(text, terms) {
+        const parts = String(text || '').split(/([^\p{L}\p{N}]+)/u);
+
+        return Html.html`${parts.map(part => {
+            const tokens = this.tokenize(part);
+            return tokens.length === 1 && terms.includes(tokens[0]) ? Html.html`<mark>${part}</mark>` : part;
+        })}`;
+    },
+
+    /**
+     * Wire up the header search boxes with an as-you-type dropdown
+     */
+    initHeader() {
+        document.querySelectorAll('.header-search').forEach((form, i) => {
+            const input = form.querySelector('input[name="q"]');
+            const list = document.createElement('ul');
+            list.className = 'search-suggestions';
+            list.id = `search-suggestions-${i}`;
+            list.setAttribute('role', 'listbox');
+            list.hidden = true;
+            form.appendChild(list);
+
+            input.setAttribute('role', 'combobox');
+            input.setAttribute('aria-autocomplete', 'list');
+            input.setAttribute('aria-controls', list.id);
+            input.setAttribute('aria-expanded', 'false');
+
+            let active = -1;
+
+            const close = () => {
+                list.hidden = true;
+                active = -1;
+                input.setAttribute('aria-expanded', 'false');
+                input.removeAttribute('aria-activedescendant');
+            };
+
+            const setActive = (index) => {
+                const options = list.querySelectorAll('[role="option"]');
+                if (options.length === 0) return;
+
+                active = (index + options.length) % options.length;
+                options.forEach((option, j) => option.setAttribute('aria-selected', j === active ? 'true' : 'false'));
+                input.setAttribute('aria-activedescendant', options[active].id);
+            };
+
+            const update = UI.debounce(async () => {
+                const query = input.value.trim();
+                if (!query) {
+                    close();
+                    return;
+                }
+
+                await Products.fetch();
+
+                // The input may have changed while the catalog loaded
+                if (input.value.trim() !== query) return;
+
+                this.renderSuggestions(list, query);
+                list.hidden = false;
+                active = -1;
+                input.setAttribute('aria-expanded', 'true');
+                input.removeAttribute('aria-activedescendant');
+            }, 150);
+
+            input.addEventListener('input', update);
+            input.addEventListener('focus', () => {
+                if (input.value.trim()) update();
+            });
+
+            input.addEventListener('keydown', (e) => {
+                if (list.hidden) return;
+
+                if (e.key === 'ArrowDown') {
+                    e.preventDefault();
+                    setActive(active + 1);
+                } else if (e.key === 'ArrowUp') {
+                    e.preventDefault();
+                    setActive(active - 1);
+                } else if (e.key === 'Enter' && active >= 0) {
+                    e.preventDefault();
+                    window.location.href = list.querySelectorAll('[role="option"] a')[active].href;
+                } else if (e.key === 'Escape') {
+                    close();
+                }
+            });
+
+            // Keep focus in the input while clicking a suggestion
+            list.addEventListener('mousedown', (e) => e.preventDefault());
+
+            // Close when focus leaves the search box and its dropdown
+            form.addEventListener('focusout', (e) => {
+                if (!form.contains(e.relatedTarget)) close();
+            });
+
+            form.addEventListener('submit', (e) => {
+                if (!input.value.trim()) e.preventDefault();
+            });
+        });
+    },
+
+    /**
+     * Render dropdown suggestions for a query
+     * @param {HTMLElement} list - Suggestions list
+     * @param {string} query - Search text
+     */
+    renderSuggestions(list, query) {
+        const results = this.query(query, this.SUGGESTION_LIMIT);
+        const allUrl = `search.html?q=${encodeURIComponent(query)}`;
+
+        if (results.length === 0) {
+            list.innerHTML = Html.html`<li class="search-suggestions-empty">${I18n.t('search.noMatch', { query: query })}</li>`;
+            return;
+        }
+
+        list.innerHTML = Html.html`
+            ${results.map((result, i) => Html.html`
+                <li id="${list.id}-${i}" role="option" aria-selected="false">
+                    <a href="product.html?id=${encodeURIComponent(result.product.id)}" tabindex="-1">
+                        <img src="${Html.url(Products.convertGoogleDriveUrl(result.product.image, 200))}" alt="" loading="lazy">
+                        <span class="search-suggestion-name">${this.highlight(result.product.name, result.terms)}</span>
+                        <span class="search-suggestion-price">${Products.formatPrice(Promotions.getProductPrice(result.product))}</span>
+                    </a>
+                </li>
+            `)}
+            <li class="search-suggestions-all"><a href="${allUrl}">${I18n.t('search.seeAll', { query: query })}</a></li>
+        `;
+    }
+};
+
+// Initialize header search on load
+document.addEventListener('DOMContentLoaded', () => Search.initHeader());
@@ -0,0 +1,106 @@
+/**
+ * Shipping Module
+ * Calculates one shipping fee per order from the delivery province and city
+ */
+
+const Shipping = {
+    /**
+     * Get the delivery zone for an address
+     * @param {Object|null} destination - { state, city }
+     * @returns {string} 'mainCentre' or 'outlying'
+     */
+    getZone(destination) {
+        if (!destination || !destination.state) return 'mainCentre';
+
+        const centres = CONFIG.shipping.mainCentres[destination.state] || [];
+        const city = (destination.city || '').trim().toLowerCase();
+
+        return centres.some(centre => centre.toLowerCase() === city) ? 'mainCentre' : 'outlying';
+    },
+
+    /**
+     * Calculate parcel weight in kg
+     * @param {Array} items - Cart items
+     * @returns {number} Weight in kg
+     */
+    getWeight(items) {
+        return items.reduce((total, item) => {
+            const weight = item.weight > 0 ? item.weight : CONFIG.shipping.defaultWeight;
+            return total + (weight * item.quantity);
+        }, 0);
+    },
+
+    /**
+     * Get the surcharge for a parcel weight
+     * @param {number} weight - Weight in kg
+     * @returns {number} Surcharge amount
+     */
+    getWeightSurcharge(weight) {
+        const tiers = CONFIG.shipping.weightTiers;
+        const tier = tiers.find(t => t.upTo === null || weight <= t.upTo) || tiers[tiers.length - 1];
+        return tier ? tier.add : 0;
+    },
+
+    /**
+     * Calculate shipping for an order
+     * @param {Array} items - Cart items
+     * @param {Object|null} destination - { state, city }, or null before checkout
+     * @param {number} subtotal - Order value used for the free shipping threshold
+     * @returns {Object} { cost, zone, label, deliveryTime, estimate, freeShippingRemaining }
+     */
+    calculate(items, destination, subtotal) {
+        const settings = CONFIG.shipping;
+        const zone = this.getZone(destination);
+        const zoneSettings = settings.zones[zone];
+        const freeShippingAvailable = settings.freeShippingZones.includes(zone);
+
+        const quote = {
+            cost: 0,
+            zone: zone,
+            label: zoneSettings.label,
+            deliveryTime: zoneSettings.deliveryTime,
+            estimate: !destination || !destination.state,
+            freeShippingRemaining: freeShippingAvailable
+                ? Math.max(0, settings.freeShippingThreshold - subtotal)
+                : null
+        };
+
+        if (items.length === 0) return quote;
+
+        if (freeShippingAvailable && subtotal >= settings.freeShippingThreshold) {
+            return quote;
+        }
+
+        quote.cost = zoneSettings.rate + this.getWeightSurcharge(this.getWeight(items));
+        return quote;
+    },
+
+    /**
+     * Get the lowest flat rate for "from" messaging
+     * @returns {number} Lowest rate
+     */
+    getStartingRate() {
+        return Math.min(...Object.values(CONFIG.shipping.zones).map(zone => zone.rate));
+    },
+
+    /**
+     * Describe the quote below the shipping row in a summary panel
+     * @param {Object} quote - Result of calculate()
+     * @returns {string} Note text
+     */
+    describe(quote) {
+        const parts = [];
+
+        if (quote.estimate) {
+            parts.push(I18n.t('shipping.estimate', { zone: quote.label.toLowerCase() }));
+        } else {
+            parts.push(I18n.t('shipping.delivery', { zone: quote.label, time: quote.deliveryTime }));
+        }
+
+        if (quote.freeShippingRemaining > 0) {
+            parts.push(I18n.t('shipping.addMoreAny', { amount: Currency.format(Currency.convert(quote.freeShippingRemaining)) }));
+        }
+
+        return parts.join(' ');
+    }
+};
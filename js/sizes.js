@@ -0,0 +1,161 @@
+/**
+ * Sizes Module
+ * Size charts from config, cm/inch display and size recommendations
+ */
+
+const Sizes = {
+    UNIT_KEY: 'kamelkross_units',
+    CM_PER_INCH: 2.54,
+    // How much a height mismatch counts against a size compared with chest
+    HEIGHT_WEIGHT: 0.5,
+
+    /**
+     * Get the size chart for a product
+     * The sheet's `size_chart` column picks a chart by name; otherwise the
+     * product's category is used.
+     * @param {Object} product - Product object
+     * @returns {Object|null} Chart from CONFIG.sizeCharts, or null if there isn't one
+     */
+    getChart(product) {
+        const charts = CONFIG.sizeCharts || {};
+        return charts[product.size_chart] || charts[product.category] || null;
+    },
+
+    /**
+     * Check if a chart has the body measurements the recommender uses
+     * @param {Object} chart - Size chart
+     * @returns {boolean}
+     */
+    canRecommend(chart) {
+        return Boolean(chart) && chart.rows.some(row => Array.isArray(row.chest));
+    },
+
+    /**
+     * Get the visitor's preferred unit
+     * @returns {string} 'cm' or 'in'
+     */
+    getUnit() {
+        try {
+            return localStorage.getItem(this.UNIT_KEY) === 'in' ? 'in' : 'cm';
+        } catch (error) {
+            return 'cm';
+        }
+    },
+
+    /**
+     * Remember the visitor's preferred unit
+     * @param {string} unit - 'cm' or 'in'
+     */
+    setUnit(unit) {
+        try {
+            localStorage.setItem(this.UNIT_KEY, unit === 'in' ? 'in' : 'cm');
+        } catch (error) {
+            console.error('Error saving unit:', error);
+        }
+    },
+
+    /**
+     * Convert a measurement to centimetres
+     * @param {number} value - Measurement
+     * @param {string} unit - 'cm' or 'in'
+     * @returns {number} Centimetres
+     */
+    toCm(value, unit) {
+        return unit === 'in' ? value * this.CM_PER_INCH : value;
+    },
+
+    /**
+     * Format a chart value (a number or [min, max] range in cm, or text)
+     * Inches are rounded to the nearest half inch.
+     * @param {number|Array<number>|string} value - Chart value
+     * @param {string} unit - 'cm' or 'in'
+     * @returns {string} Formatted value
+     */
+    format(value, unit) {
+        if (typeof value === 'string') return value;
+
+        const convert = cm => (unit === 'in' ? Math.round((cm / this.CM_PER_INCH) * 2) / 2 : cm);
+        return Array.isArray(value) ? value.map(convert).join('-') : String(convert(value));
+    },
+
+    /**
+     * Recommend a size from body measurements
+     * Each size is scored by how far the chest (and height, if given) falls outside
+     * its range. Ties go to the larger size, as customers between sizes usually
+     * prefer to size up.
+     * @param {Object} chart - Size chart
+     * @param {Object} measurements - { chest, height } in cm (height optional)
+     * @param {Array<string>} sizes - Sizes the product comes in, empty for all
+     * @returns {Object|null} { size, exact } where exact means every measurement fits the size's range
+     */
+    recommend(chart, measurements, sizes = []) {
+        const outside = (value, range) => {
+            if (!value || !Array.isArray(range)) return 0;
+            return value < range[0] ? range[0] - value : value > range[1] ? value - range[1] : 0;
+        };
+
+        let best = null;
+        chart.rows
+            .filter(row => Array.isArray(row.chest) && (sizes.length === 0 || sizes.includes(row.size)))
+            .forEach(row => {
+                const score = outside(measurements.chest, row.chest) +
+                    outside(measurements.height, row.height) * this.HEIGHT_WEIGHT;
+
+                if (!best || score <= best.score) {
+                    best = { size: row.size, score: score };
+                }
+            });
+
+        return best ? { size: best.size, exact: best.score === 0 } : null;
+    },
+
+    /**
+     * Render a size chart as a table
+     * @param {Object} chart - Size chart
+     * @param {string} unit - 'cm' or 'in'
+     * @param {string} highlight - Size to highlight, e.g. the recommendation
+     * @returns {Object} Safe HTML (see Html.html)
+     */
+    renderTable(chart, unit, highlight = '') {
+        const columns = Object.entries(chart.columns);
+        // Only columns with measurements get a unit; text columns (like "Closure") don't
+        const isLength = key => chart.rows.some(row => typeof row[key] === 'number' || Array.isArray(row[key]));
+
+        return Html.html`
+            <div class="table-wrapper">
+                <table class="size-table">
+                    <thead>
+                        <tr>
+                            <th>${chart.sizeLabel || I18n.t('sizes.size')}</th>
+                            ${columns.map(([key, label]) => Html.html`<th>${label}${isLength(key) && ` (${unit})`}</th>`)}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${chart.rows.map(row => Html.html`
+                            <tr class="${row.size === highlight ? 'highlight' : ''}">
+                                <td><strong>${row.size}</strong></td>
+                                ${columns.map(([key]) => Html.html`<td>${row[key] === undefined ? '-' : this.format(row[key], unit)}</td>`)}
+                            </tr>
+                        `)}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    },
+
+    /**
+     * Render cm/inch toggle buttons
+     * @param {string} unit - Selected unit
+     * @returns {Object} Safe HTML (see Html.html)
+     */
+    renderUnitToggle(unit) {
+        return Html.html`
+            <div class="unit-toggle" role="group" aria-label="${I18n.t('sizes.units')}">
+                ${['cm', 'in'].map(value => Html.html`
+                    <button type="button" class="unit-btn ${value === unit ? 'selected' : ''}" data-unit="${value}"
+                            aria-pressed="${value === unit ? 'true' : 'false'}">${I18n.t(value === 'cm' ? 'sizes.cm' : 'sizes.inches')}</button>
+                `)}
+            </div>
+        `;
+    }
+};
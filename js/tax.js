@@ -0,0 +1,148 @@
+/**
+ * Tax Module
+ * Works out the VAT on an order by tax class, for prices that include or
+ * exclude tax (see CONFIG.tax)
+ */
+
+const Tax = {
+    /**
+     * Round an amount to cents
+     * @param {number} amount - Amount
+     * @returns {number} Rounded amount
+     */
+    round(amount) {
+        return Math.round((amount + Number.EPSILON) * 100) / 100;
+    },
+
+    /**
+     * Check if a tax class is set up in CONFIG.tax.classes
+     * @param {string} taxClass - Tax class
+     * @returns {boolean}
+     */
+    isClass(taxClass) {
+        return Object.prototype.hasOwnProperty.call(CONFIG.tax.classes, String(taxClass).toLowerCase());
+    },
+
+    /**
+     * Get the tax class for a product or cart item
+     * The product's tax_class column wins, then its category's class, then 'standard'.
+     * @param {Object} item - Product or cart item
+     * @returns {string} Tax class
+     */
+    getClass(item) {
+        const own = item.taxClass || item.tax_class;
+        if (own && this.isClass(own)) return own.toLowerCase();
+
+        const categories = CONFIG.tax.categoryClasses || {};
+        const category = Object.keys(categories).find(name =>
+            item.category && name.toLowerCase() === item.category.toLowerCase()
+        );
+
+        return category ? categories[category] : 'standard';
+    },
+
+    /**
+     * Get the rate for a tax class
+     * @param {string} taxClass - Tax class
+     * @returns {number} Rate, e.g. 0.15
+     */
+    getRate(taxClass) {
+        return this.isClass(taxClass) ? CONFIG.tax.classes[taxClass] : CONFIG.tax.classes.standard;
+    },
+
+    /**
+     * Format a rate for labels
+     * @param {number} rate - Rate, e.g. 0.15
+     * @returns {string} e.g. 15%
+     */
+    formatRate(rate) {
+        return `${Math.round(rate * 10000) / 100}%`;
+    },
+
+    /**
+     * Calculate the tax on an order
+     * Discounts are shared across tax classes in proportion to their value, shipping
+     * is taxed as CONFIG.tax.shippingClass, and each class's tax is rounded to cents
+     * so the lines add up to the amount charged.
+     * @param {Array} items - Cart items
+     * @param {number} discount - Order discount
+     * @param {number} shipping - Shipping charged
+     * @returns {Object} { label, included, amount, lines: [{ taxClass, rate, taxable, amount }] }
+     */
+    calculate(items, discount, shipping) {
+        const settings = CONFIG.tax;
+        const values = {};
+
+        items.forEach(item => {
+            const taxClass = this.getClass(item);
+            values[taxClass] = (values[taxClass] || 0) + item.price * item.quantity;
+        });
+
+        const subtotal = Object.values(values).reduce((total, value) => total + value, 0);
+        const taxable = {};
+        Object.entries(values).forEach(([taxClass, value]) => {
+            taxable[taxClass] = value - (subtotal > 0 ? discount * value / subtotal : 0);
+        });
+
+        if (shipping > 0) {
+            const shippingClass = settings.shippingClass || 'standard';
+            taxable[shippingClass] = (taxable[shippingClass] || 0) + shipping;
+        }
+
+        const lines = Object.entries(taxable)
+            .filter(([, amount]) => amount > 0)
+            .map(([taxClass, amount]) => {
+                const rate = this.getRate(taxClass);
+                const base = this.round(amount);
+                return {
+                    taxClass: taxClass,
+                    rate: rate,
+                    taxable: base,
+                    amount: this.round(settings.pricesIncludeTax ? base - base / (1 + rate) : base * rate)
+                };
+            })
+            .sort((a, b) => b.rate - a.rate);
+
+        return {
+            label: settings.label,
+            included: Boolean(settings.pricesIncludeTax),
+            amount: this.round(lines.reduce((total, line) => total + line.amount, 0)),
+            lines: lines
+        };
+    },
+
+    /**
+     * Get the summary rows for a tax result: one per rate that has tax on it
+     * @param {Object} tax - Result of calculate()
+     * @returns {Array} [{ label, amount }]
+     */
+    getRows(tax) {
+        const byRate = {};
+        tax.lines.filter(line => line.rate > 0).forEach(line => {
+            byRate[line.rate] = (byRate[line.rate] || 0) + line.amount;
+        });
+
+        return Object.keys(byRate)
+            .sort((a, b) => b - a)
+            .map(rate => ({
+                label: I18n.t(tax.included ? 'tax.rowIncluded' : 'tax.row', { label: tax.label, rate: this.formatRate(Number(rate)) }),
+                amount: this.round(byRate[rate])
+            }));
+    },
+
+    /**
+     * Update the tax rows in a summary panel (above the total)
+     * @param {Object} totals - Result of Cart.getTotals()
+     */
+    renderSummary(totals) {
+        const container = document.getElementById('summary-tax');
+        if (!container) return;
+
+        container.innerHTML = this.getRows(totals.tax).map(row => Html.html`
+            <div class="summary-row tax">
+                <span>${row.label}</span>
+                <span>${Currency.format(row.amount, totals.currency)}</span>
+            </div>
+        `).join('');
+    }
+};
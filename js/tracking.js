@@ -0,0 +1,184 @@
+/**
+ * Tracking Module
+ * Order status lookups for the tracking page, from the order server or a
+ * published order status sheet
+ */
+
+const Tracking = {
+    // Steps shown on the timeline, in order
+    STEPS: ['paid', 'packed', 'shipped', 'delivered'],
+    // Label and message of each are tracking.<status>.label/message in js/messages.js
+    STATUSES: ['pending', 'review', 'failed', 'paid', 'packed', 'shipped', 'delivered', 'cancelled'],
+    sheetOrders: null,
+
+    /**
+     * Check if orders can be looked up
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return Api.isEnabled() || Boolean(CONFIG.orderStatusSheetCSV);
+    },
+
+    /**
+     * Read orders from parsed status sheet rows
+     * Columns: reference, email, status, courier, tracking_number, tracking_url, updated, note
+     * @param {Array<Array<string>>} rows - Parsed CSV rows, header first
+     * @returns {Object} Orders keyed by reference
+     */
+    parseRows(rows) {
+        const orders = {};
+        if (rows.length < 2) return orders;
+
+        const headers = rows[0].map(h => CSV.normalizeHeader(h));
+
+        rows.slice(1).forEach(values => {
+            if (CSV.isBlankRow(values)) return;
+
+            const row = {};
+            headers.forEach((header, index) => {
+                row[header] = (values[index] || '').trim();
+            });
+
+            const reference = UI.normalizeOrderReference(row.reference);
+            const status = (row.status || '').toLowerCase();
+            if (!reference || !this.STATUSES.includes(status)) return;
+
+            orders[reference] = {
+                reference: reference,
+                email: row.email || '',
+                status: status,
+                courier: row.courier || '',
+                trackingNumber: row.tracking_number || '',
+                trackingUrl: row.tracking_url || '',
+                updatedAt: row.updated || '',
+                note: row.note || ''
+            };
+        });
+
+        return orders;
+    },
+
+    /**
+     * Load the order status sheet
+     * @returns {Promise<Object>} Orders keyed by reference
+     */
+    async fetchSheet() {
+        if (!this.sheetOrders) {
+            this.sheetOrders = this.parseRows(await CSV.fetch(CONFIG.orderStatusSheetCSV));
+        }
+        return this.sheetOrders;
+    },
+
+    /**
+     * Look up an order's status
+     * The email has to match the order's (the sheet's email column is optional).
+     * @param {string} reference - Order reference
+     * @param {string} email - Email used at checkout
+     * @returns {Promise<Object>} Order: { reference, status, courier, trackingNumber, trackingUrl, updatedAt, note, ... }
+     */
+    async lookup(reference, email) {
+        if (Api.isEnabled()) {
+            return Api.post('/api/orders/lookup', { reference: reference, email: email });
+        }
+
+        const order = (await this.fetchSheet())[reference];
+        if (!order || (order.email && order.email.toLowerCase() !== email.toLowerCase())) {
+            throw new Error(I18n.t('tracking.notFound'));
+        }
+
+        return order;
+    },
+
+    /**
+     * Get a link to the courier's tracking page
+     * Uses the order's own link, or a CONFIG.couriers template with {tracking}.
+     * @param {Object} order - Order from lookup()
+     * @returns {string} URL, empty if there isn't one
+     */
+    getTrackingUrl(order) {
+        if (order.trackingUrl) return order.trackingUrl;
+
+        const template = (CONFIG.couriers || {})[order.courier];
+        return template && order.trackingNumber
+            ? template.replace('{tracking}', encodeURIComponent(order.trackingNumber))
+            : '';
+    },
+
+    /**
+     * Render the paid → packed → shipped → delivered timeline
+     * @param {string} status - Order status
+     * @returns {Object} Safe HTML (see Html.html)
+     */
+    renderTimeline(status) {
+        const current = this.STEPS.indexOf(status);
+
+        return Html.html`
+            <ol class="tracking-steps">
+                ${this.STEPS.map((step, i) => Html.html`
+                    <li class="tracking-step ${i < current ? 'done' : ''} ${i === current ? 'current' : ''}"
+                        ${i === current && Html.raw('aria-current="step"')}>
+                        <span class="tracking-step-dot" aria-hidden="true"></span>
+                        <span class="tracking-step-label">${I18n.t(`tracking.${step}.label`)}</span>
+                    </li>
+                `)}
+            </ol>
+        `;
+    },
+
+    /**
+     * Render an order's status, shipping details and items
+     * @param {Object} order - Order from lookup()
+     * @returns {Object} Safe HTML (see Html.html)
+     */
+    renderResult(order) {
+        const status = this.STATUSES.includes(order.status) ? order.status : 'pending';
+        const trackingUrl = this.getTrackingUrl(order);
+        const onTimeline = this.STEPS.includes(order.status);
+        const updated = order.updatedAt && !isNaN(new Date(order.updatedAt)) ? UI.formatDate(order.updatedAt) : '';
+
+        return Html.html`
+            <div class="tracking-header">
+                <div>
+                    <span class="tracking-reference">${order.reference}</span>
+                    <h2>${I18n.t(`tracking.${status}.label`)}</h2>
+                </div>
+                ${updated && Html.html`<span class="tracking-updated">${I18n.t('tracking.updated', { date: updated })}</span>`}
+            </div>
+
+            ${onTimeline && this.renderTimeline(order.status)}
+            <p class="tracking-message ${onTimeline ? '' : 'alert'}">${order.note || I18n.t(`tracking.${status}.message`)}</p>
+            ${order.status === 'delivered' && Html.html`
+                <p class="tracking-message">
+                    ${I18n.t('tracking.notRight')}
+                    <a href="returns.html?ref=${encodeURIComponent(order.reference)}#start-return">${I18n.t('tracking.startReturn')}</a>
+                </p>
+            `}
+
+            ${order.trackingNumber && Html.html`
+                <div class="tracking-shipment">
+                    ${order.courier && Html.html`<div><span>${I18n.t('tracking.courier')}</span><strong>${order.courier}</strong></div>`}
+                    <div><span>${I18n.t('tracking.trackingNumber')}</span><strong>${order.trackingNumber}</strong></div>
+                    ${trackingUrl && Html.html`
+                        <a href="${Html.url(trackingUrl)}" class="btn btn-outline" target="_blank" rel="noopener">${I18n.t('tracking.trackWithCourier')}</a>
+                    `}
+                </div>
+            `}
+
+            ${order.items && order.items.length > 0 && Html.html`
+                <div class="tracking-items">
+                    <h3>${I18n.t('tracking.items')}</h3>
+                    ${order.items.map(item => Html.html`
+                        <div class="tracking-line">
+                            <span>${item.name} (${item.size}/${item.color}) x${item.quantity}</span>
+                            <span>${Currency.format(item.price * item.quantity, order.currency)}</span>
+                        </div>
+                    `)}
+                    <div class="tracking-line tracking-total">
+                        <span>${I18n.t('summary.total')}</span>
+                        <strong>${Currency.format(order.total, order.currency)}</strong>
+                    </div>
+                </div>
+            `}
+        `;
+    }
+};
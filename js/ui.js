@@ -4,14 +4,40 @@
  */
 
 const UI = {
+    cartDrawer: null,
+    drawerReturnFocus: null,
+    modalReturnFocus: null,
+
     /**
      * Initialize all UI components
      */
     init() {
         this.initMobileMenu();
         this.initToastContainer();
+        this.initCartDrawer();
         this.initScrollHeader();
         this.initScrollReveal();
+        I18n.applyPage();
+        I18n.initSwitcher();
+        Currency.initSwitcher();
+        this.registerServiceWorker();
+
+        // The cart drawer shows prices on every page, so every page needs the rates sheet
+        Currency.fetch().then(() => this.renderCartDrawer());
+    },
+
+    /**
+     * Register the service worker that keeps pages, styles, scripts and images
+     * available on flaky connections (see sw.js)
+     */
+    registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+
+        window.addEventListener('load', () => {
+            navigator.serviceWorker.register('sw.js').catch(error => {
+                console.error('Service worker registration failed:', error);
+            });
+        });
     },
 
     /**
@@ -69,6 +95,246 @@ const UI = {
         }
     },
 
+    /**
+     * Initialize the slide-out mini cart
+     * Opens from the header cart icon and whenever something is added to the cart.
+     * Not used on the cart page itself, where the icon links to the page as before.
+     */
+    initCartDrawer() {
+        if (typeof Cart === 'undefined') return;
+
+        if (document.querySelector('.cart-page')) {
+            Cart.on('added', ({ item }) => this.toast(I18n.t('cart.added', { name: item.name }), 'success'));
+            return;
+        }
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'cart-drawer-backdrop';
+
+        const drawer = document.createElement('aside');
+        drawer.className = 'cart-drawer';
+        drawer.setAttribute('role', 'dialog');
+        drawer.setAttribute('aria-modal', 'true');
+        drawer.setAttribute('aria-labelledby', 'cart-drawer-title');
+        drawer.setAttribute('aria-hidden', 'true');
+        drawer.innerHTML = Html.html`
+            <div class="cart-drawer-header">
+                <h2 id="cart-drawer-title">${I18n.t('cart.title')} (<span class="cart-drawer-count">0</span>)</h2>
+                <button class="cart-drawer-close" aria-label="${I18n.t('cart.close')}">&times;</button>
+            </div>
+            <div class="cart-drawer-progress">
+                <p class="cart-drawer-progress-text"></p>
+                <div class="cart-drawer-progress-bar"><span></span></div>
+            </div>
+            <div class="cart-drawer-items"></div>
+            <div class="cart-drawer-footer">
+                <div class="summary-row">
+                    <span>${I18n.t('cart.subtotal')}</span>
+                    <span class="cart-drawer-subtotal">R0</span>
+                </div>
+                <p class="summary-note">${I18n.t('cart.drawerNote')}</p>
+                <a href="checkout.html" class="btn btn-primary">${I18n.t('cart.checkout')}</a>
+                <a href="cart.html" class="btn btn-outline">${I18n.t('cart.view')}</a>
+            </div>
+        `;
+
+        document.body.appendChild(backdrop);
+        document.body.appendChild(drawer);
+        this.cartDrawer = drawer;
+
+        document.querySelectorAll('.cart-icon').forEach(icon => {
+            icon.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.openCartDrawer();
+            });
+        });
+
+        backdrop.addEventListener('click', () => this.closeCartDrawer());
+        drawer.querySelector('.cart-drawer-close').addEventListener('click', () => this.closeCartDrawer());
+
+        // Escape closes; Tab stays inside the drawer while it's open
+        drawer.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeCartDrawer();
+            } else if (e.key === 'Tab') {
+                this.trapFocus(drawer, e);
+            }
+        });
+
+        Cart.on('added', () => this.openCartDrawer());
+        Cart.on('change', () => this.renderCartDrawer());
+        this.renderCartDrawer();
+    },
+
+    /**
+     * Open the mini cart
+     */
+    openCartDrawer() {
+        const drawer = this.cartDrawer;
+        if (!drawer || drawer.classList.contains('active')) return;
+
+        this.renderCartDrawer();
+        this.drawerReturnFocus = document.activeElement;
+
+        drawer.classList.add('active');
+        drawer.setAttribute('aria-hidden', 'false');
+        document.querySelector('.cart-drawer-backdrop').classList.add('active');
+        document.body.style.overflow = 'hidden';
+
+        drawer.querySelector('.cart-drawer-close').focus();
+    },
+
+    /**
+     * Close the mini cart and return focus to where it was opened from
+     */
+    closeCartDrawer() {
+        const drawer = this.cartDrawer;
+        if (!drawer || !drawer.classList.contains('active')) return;
+
+        drawer.classList.remove('active');
+        drawer.setAttribute('aria-hidden', 'true');
+        document.querySelector('.cart-drawer-backdrop').classList.remove('active');
+        document.body.style.overflow = '';
+
+        if (this.drawerReturnFocus && this.drawerReturnFocus.focus) {
+            this.drawerReturnFocus.focus();
+        }
+    },
+
+    /**
+     * Render the mini cart's items, subtotal and free shipping progress
+     */
+    renderCartDrawer() {
+        const drawer = this.cartDrawer;
+        if (!drawer) return;
+
+        const container = drawer.querySelector('.cart-drawer-items');
+        drawer.querySelector('.cart-drawer-count').textContent = Cart.getItemCount();
+        drawer.querySelector('.cart-drawer-footer').style.display = Cart.isEmpty() ? 'none' : '';
+
+        if (Cart.isEmpty()) {
+            container.innerHTML = Html.html`
+                <div class="cart-drawer-empty">
+                    <p>${I18n.t('cart.empty')}</p>
+                    <a href="products.html" class="btn btn-primary">${I18n.t('cart.startShopping')}</a>
+                </div>
+            `;
+        } else {
+            container.innerHTML = Cart.items.map((item, index) => Cart.renderItem(item, index)).join('');
+        }
+
+        drawer.querySelector('.cart-drawer-subtotal').textContent = Currency.format(Cart.getTotals().subtotal);
+        this.renderFreeShippingProgress(drawer.querySelector('.cart-drawer-progress'));
+
+        // Removing the focused item's button would drop focus out of the drawer
+        if (drawer.classList.contains('active') && !drawer.contains(document.activeElement)) {
+            drawer.querySelector('.cart-drawer-close').focus();
+        }
+    },
+
+    /**
+     * Show how far the cart is from free shipping
+     * @param {HTMLElement} element - Progress container
+     */
+    renderFreeShippingProgress(element) {
+        const quote = Cart.getShippingQuote();
+        const threshold = CONFIG.shipping.freeShippingThreshold;
+
+        if (Cart.isEmpty() || quote.freeShippingRemaining === null) {
+            element.style.display = 'none';
+            return;
+        }
+
+        const remaining = quote.freeShippingRemaining;
+        const zone = CONFIG.shipping.zones[quote.zone].label.toLowerCase();
+
+        element.style.display = '';
+        element.querySelector('.cart-drawer-progress-text').textContent = remaining > 0
+            ? I18n.t('shipping.addMore', { amount: Currency.format(Currency.convert(remaining)), zone: zone })
+            : I18n.t('shipping.unlocked', { zone: zone });
+        element.querySelector('.cart-drawer-progress-bar span').style.width =
+            `${Math.min(100, ((threshold - remaining) / threshold) * 100)}%`;
+    },
+
+    /**
+     * Wire up a modal dialog from the page's markup
+     * Buttons with data-close-modal, clicking outside .modal-content and Escape
+     * close it; Tab stays inside while it's open.
+     * @param {HTMLElement} modal - Element with class "modal"
+     */
+    initModal(modal) {
+        modal.querySelectorAll('[data-close-modal]').forEach(button => {
+            button.addEventListener('click', () => this.closeModal(modal));
+        });
+
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) this.closeModal(modal);
+        });
+
+        modal.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.closeModal(modal);
+            } else if (e.key === 'Tab') {
+                this.trapFocus(modal, e);
+            }
+        });
+    },
+
+    /**
+     * Open a modal dialog and move focus into it
+     * @param {HTMLElement} modal - Modal element (see initModal)
+     * @param {HTMLElement} focus - Element to focus, defaults to the first field or button
+     */
+    openModal(modal, focus = null) {
+        if (modal.classList.contains('active')) return;
+
+        this.modalReturnFocus = document.activeElement;
+        modal.classList.add('active');
+        modal.setAttribute('aria-hidden', 'false');
+        document.body.style.overflow = 'hidden';
+
+        (focus || modal.querySelector('input, select, textarea, button')).focus();
+    },
+
+    /**
+     * Close a modal dialog and return focus to where it was opened from
+     * @param {HTMLElement} modal - Modal element
+     */
+    closeModal(modal) {
+        if (!modal.classList.contains('active')) return;
+
+        modal.classList.remove('active');
+        modal.setAttribute('aria-hidden', 'true');
+        document.body.style.overflow = '';
+
+        if (this.modalReturnFocus && this.modalReturnFocus.focus) {
+            this.modalReturnFocus.focus();
+        }
+    },
+
+    /**
+     * Keep Tab focus cycling inside a container
+     * @param {HTMLElement} container - Dialog element
+     * @param {KeyboardEvent} e - Tab keydown event
+     */
+    trapFocus(container, e) {
+        const focusable = Array.from(container.querySelectorAll(
+            'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])'
+        ));
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            e.preventDefault();
+            first.focus();
+        }
+    },
+
     /**
      * Initialize toast notification container
      */
@@ -138,7 +404,7 @@ const UI = {
 
         const toast = document.createElement('div');
         toast.className = `toast ${type}`;
-        toast.innerHTML = `
+        toast.innerHTML = Html.html`
             <span>${message}</span>
             <button class="toast-close">&times;</button>
         `;
@@ -204,12 +470,12 @@ const UI = {
     },
 
     /**
-     * Format date
+     * Format a date in the shopper's language
      * @param {string|Date} date - Date to format
      * @returns {string} Formatted date
      */
     formatDate(date) {
-        return new Date(date).toLocaleDateString('en-ZA', {
+        return new Date(date).toLocaleDateString(I18n.getLocale(), {
             year: 'numeric',
             month: 'long',
             day: 'numeric'
@@ -264,6 +530,26 @@ const UI = {
         return /^(\+27|0)[0-9]{9}$/.test(cleaned);
     },
 
+    /**
+     * Tidy an order reference as customers tend to type it
+     * Accepts "kk_..." and "KK-..." for the KK_ prefix.
+     * @param {string} reference - Reference as entered
+     * @returns {string} Reference
+     */
+    normalizeOrderReference(reference) {
+        return String(reference || '').trim().replace(/^kk[-_]/i, 'KK_');
+    },
+
+    /**
+     * Validate an order reference (see generateId)
+     * e.g. KK_1718000000000_k3j9x2abc
+     * @param {string} reference - Reference to validate
+     * @returns {boolean}
+     */
+    isValidOrderReference(reference) {
+        return /^KK_\d{13}_[a-z0-9]{1,9}$/i.test(reference);
+    },
+
     /**
      * Set active navigation link based on current page
      */
@@ -296,7 +582,7 @@ const UI = {
     async copyToClipboard(text) {
         try {
             await navigator.clipboard.writeText(text);
-            this.toast('Copied to clipboard', 'success');
+            this.toast(I18n.t('ui.copied'), 'success');
             return true;
         } catch (error) {
             console.error('Failed to copy:', error);
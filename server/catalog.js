@@ -0,0 +1,222 @@
+/**
+ * Catalog Module
+ * Runs the storefront's own js/ modules in Node so orders are priced
+ * server-side with exactly the same rules the browser shows
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const HttpError = require('./http-error');
+
+const ROOT = path.join(__dirname, '..');
+
+// Loaded in the same order as the <script> tags on the storefront pages
+const SCRIPTS = [
+    'js/config.js',
+    'js/html.js',
+    'js/messages.js',
+    'js/i18n.js',
+    'js/csv.js',
+    'js/currency.js',
+    'js/products.js',
+    'js/cart.js',
+    'js/promotions.js',
+    'js/shipping.js',
+    'js/tax.js',
+    'js/ui.js',
+    'js/contact.js',
+    'js/returns.js',
+    'js/pdf.js',
+    'js/invoice.js'
+];
+
+// Re-fetch the product sheet after this long
+const CACHE_TTL = 5 * 60 * 1000;
+
+/**
+ * Create a sandbox with just enough browser globals for the storefront modules
+ * @returns {Object} { CONFIG, Products, Cart, Promotions, Shipping, UI, Contact, Returns, Invoice, Currency }
+ */
+function createModules() {
+    const storage = new Map();
+    const noop = () => {};
+
+    const context = vm.createContext({
+        console,
+        fetch,
+        setTimeout,
+        clearTimeout,
+        document: {
+            addEventListener: noop,
+            querySelector: () => null,
+            querySelectorAll: () => []
+        },
+        localStorage: {
+            getItem: key => (storage.has(key) ? storage.get(key) : null),
+            setItem: (key, value) => storage.set(key, String(value)),
+            removeItem: key => storage.delete(key)
+        }
+    });
+
+    SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    return vm.runInContext('({ CONFIG, Products, Cart, Promotions, Shipping, UI, Contact, Returns, Invoice, Currency })', context);
+}
+
+const Catalog = {
+    modules: null,
+    loadedAt: 0,
+    validators: null,
+
+    /**
+     * Get the storefront modules without fetching any sheets
+     * For shared validators, which shouldn't fail when the catalog is unreachable.
+     * @returns {Object} Storefront modules
+     */
+    getValidators() {
+        if (!this.validators) {
+            this.validators = createModules();
+        }
+        return this.validators;
+    },
+
+    /**
+     * Get the storefront modules with products, promotions and exchange rates loaded
+     * @returns {Promise<Object>} Storefront modules
+     */
+    async load() {
+        if (!this.modules || Date.now() - this.loadedAt > CACHE_TTL) {
+            const modules = createModules();
+            await Promise.all([modules.Products.fetch(), modules.Promotions.fetch(), modules.Currency.fetch()]);
+
+            if (modules.Products.fetchError) {
+                // Keep pricing from the last good catalog rather than an empty one
+                if (!this.modules) {
+                    throw new HttpError(503, 'The product catalog is unavailable, please try again shortly');
+                }
+                console.error('Using the previous catalog:', modules.Products.fetchError);
+            } else {
+                this.modules = modules;
+                this.loadedAt = Date.now();
+            }
+        }
+
+        return this.modules;
+    },
+
+    /**
+     * Validate checkout customer details
+     * @param {Object} UI - Storefront UI module (for shared validators)
+     * @param {Object} customer - Customer details from the checkout form
+     * @returns {Object} Cleaned customer details
+     */
+    validateCustomer(UI, customer) {
+        if (!customer || typeof customer !== 'object') {
+            throw new HttpError(400, 'Customer details are required');
+        }
+
+        const fields = ['firstName', 'lastName', 'email', 'phone', 'address', 'city', 'state', 'notes'];
+        const cleaned = {};
+        fields.forEach(field => {
+            cleaned[field] = String(customer[field] || '').trim().slice(0, 500);
+        });
+
+        const missing = fields.filter(field => field !== 'notes' && !cleaned[field]);
+        if (missing.length > 0) {
+            throw new HttpError(400, `Missing customer details: ${missing.join(', ')}`);
+        }
+        if (!UI.isValidEmail(cleaned.email)) {
+            throw new HttpError(400, 'Please enter a valid email');
+        }
+        if (!UI.isValidPhone(cleaned.phone)) {
+            throw new HttpError(400, 'Please enter a valid South African phone number');
+        }
+
+        return cleaned;
+    },
+
+    /**
+     * Price an order from the live catalog, ignoring any prices sent by the client
+     * @param {Object} request - { customer, items: [{ id, sku, size, color, quantity }], promoCode, currency }
+     * @returns {Promise<Object>} Order data in the same shape as Cart.prepareOrderData
+     */
+    async priceOrder(request) {
+        const { Products, Cart, UI, Currency } = await this.load();
+        const customer = this.validateCustomer(UI, request.customer);
+
+        const currency = String(request.currency || Currency.getBase()).toUpperCase();
+        if (!Currency.canCharge(currency)) {
+            throw new HttpError(400, `Payments in ${currency} aren't available`);
+        }
+
+        if (!Array.isArray(request.items) || request.items.length === 0) {
+            throw new HttpError(400, 'Your cart is empty');
+        }
+
+        const lines = request.items.map(line => {
+            if (!line || typeof line !== 'object' || Array.isArray(line) || typeof line.id !== 'string' || !line.id) {
+                throw new HttpError(400, 'Invalid cart item');
+            }
+
+            const label = typeof line.name === 'string' && line.name ? line.name : line.id;
+            const quantity = Number(line.quantity);
+            if (!Number.isInteger(quantity) || quantity < 1) {
+                throw new HttpError(400, `Invalid quantity for ${label}`);
+            }
+
+            const product = Products.getById(line.id);
+            if (!product) {
+                throw new HttpError(409, `${label} is no longer available`);
+            }
+
+            // The SKU pins the variant when the product has a variants sheet
+            const variant = Products.getVariantBySku(product, line.sku);
+            if (variant) {
+                line = { ...line, size: variant.size, color: variant.color };
+            }
+
+            if (!Products.hasVariant(product, line.size, line.color)) {
+                throw new HttpError(409, `${product.name} (${line.size} / ${line.color}) is no longer available`);
+            }
+
+            return { product: product, size: line.size, color: line.color, quantity: quantity };
+        });
+
+        // A variant can be split over several lines, so check the total ordered
+        const totals = new Map();
+        lines.forEach(line => {
+            const key = `${line.product.id}|${Products.variantKey(line.size, line.color)}`;
+            totals.set(key, (totals.get(key) || 0) + line.quantity);
+        });
+
+        const items = lines.map(line => {
+            const ordered = totals.get(`${line.product.id}|${Products.variantKey(line.size, line.color)}`);
+            const variant = `${line.product.name} (${line.size} / ${line.color})`;
+
+            if (ordered > Cart.MAX_QUANTITY) {
+                throw new HttpError(400, `You can order at most ${Cart.MAX_QUANTITY} ${variant}`);
+            }
+
+            const available = Products.getStock(line.product, line.size, line.color);
+            if (ordered > available) {
+                throw new HttpError(409, available > 0
+                    ? `Only ${available} ${variant} available`
+                    : `${variant} is sold out`);
+            }
+
+            return Cart.createItem(line.product, line.size, line.color, line.quantity);
+        });
+
+        // Cart is a singleton, but this runs synchronously so requests can't interleave
+        Cart.items = items;
+        Cart.promoCode = String(request.promoCode || '').trim().toUpperCase();
+        Cart.setDestination({ state: customer.state, city: customer.city });
+
+        return Cart.prepareOrderData(customer, currency);
+    }
+};
+
+module.exports = Catalog;
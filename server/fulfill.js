@@ -0,0 +1,57 @@
+/**
+ * Shipping Updates
+ * Records packed/shipped/delivered updates on stored orders for the order
+ * tracking page. The running server picks the changes up automatically.
+ *
+ * Usage:
+ *   node server/fulfill.js <reference> <packed|shipped|delivered|cancelled>
+ *       [--courier "The Courier Guy"] [--tracking TCG123456] [--url https://...] [--note "..."]
+ *   node server/fulfill.js --list    Paid orders and their shipping status
+ */
+
+const { parseArgs } = require('util');
+const Orders = require('./orders');
+
+const { values: options, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        courier: { type: 'string' },
+        tracking: { type: 'string' },
+        url: { type: 'string' },
+        note: { type: 'string' },
+        list: { type: 'boolean' }
+    }
+});
+
+if (options.list) {
+    Orders.all()
+        .filter(order => order.status === 'paid')
+        .forEach(order => {
+            const fulfillment = order.fulfillment || {};
+            const tracking = fulfillment.trackingNumber ? ` ${fulfillment.courier || ''} ${fulfillment.trackingNumber}` : '';
+            console.log(`${order.reference}  ${fulfillment.status || 'paid'}${tracking}  ${order.customer.email}`);
+        });
+    process.exit(0);
+}
+
+const [reference, status] = positionals;
+if (!reference || !status) {
+    console.error(`Usage: node server/fulfill.js <reference> <${Orders.FULFILLMENT_STATUSES.join('|')}> [--courier NAME] [--tracking NUMBER] [--url URL] [--note TEXT]`);
+    process.exit(1);
+}
+
+// Only change the details that were given
+const fulfillment = { status: status };
+[['courier', 'courier'], ['tracking', 'trackingNumber'], ['url', 'trackingUrl'], ['note', 'note']].forEach(([option, field]) => {
+    if (options[option] !== undefined) {
+        fulfillment[field] = options[option];
+    }
+});
+
+try {
+    const order = Orders.fulfill(reference, fulfillment);
+    console.log(`${order.reference} is now ${order.fulfillment.status}`);
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
@@ -0,0 +1,18 @@
+/**
+ * HTTP Error
+ * Error carrying the status code to send back to the client
+ */
+
+class HttpError extends Error {
+    /**
+     * @param {number} status - HTTP status code
+     * @param {string} message - Message safe to show customers
+     */
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
+
+module.exports = HttpError;
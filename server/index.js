@@ -0,0 +1,610 @@
+/**
+ * Kamel Kross Order Server
+ * Prices orders from the catalog, starts Paystack transactions, verifies
+ * payments, stores orders and serves their invoices. Also receives contact
+ * form messages and serves the storefront for local development.
+ *
+ * Usage: node server/index.js
+ * Environment:
+ *   PORT                 Port to listen on (default 3000)
+ *   SITE_URL             Public URL of the storefront (default http://localhost:PORT)
+ *   PAYSTACK_SECRET_KEY  Paystack secret key (required unless PAYSTACK_MOCK is 1)
+ *   PAYSTACK_MOCK        Set to 1 to use the local stand-in instead of Paystack (testing only)
+ *   ALLOWED_ORIGIN       Origin allowed to call the API (default SITE_URL)
+ *   ORDERS_FILE          Where to store orders (default server/data/orders.json)
+ *   MESSAGES_FILE        Where to store contact messages (default server/data/messages.json)
+ *   RETURNS_FILE         Where to store return requests (default server/data/returns.json)
+ *   TRUST_PROXY          Set to 1 behind a proxy to rate limit by X-Forwarded-For
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const HttpError = require('./http-error');
+const Catalog = require('./catalog');
+const Orders = require('./orders');
+const Messages = require('./messages');
+const ReturnRequests = require('./return-requests');
+const Paystack = require('./paystack');
+const PaystackMock = require('./paystack-mock');
+
+const PORT = Number(process.env.PORT) || 3000;
+const SITE_URL = (process.env.SITE_URL || `http://localhost:${PORT}`).replace(/\/$/, '');
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || SITE_URL;
+const ROOT = path.join(__dirname, '..');
+const MAX_BODY_SIZE = 100 * 1024;
+const TRUST_PROXY = process.env.TRUST_PROXY === '1';
+
+// Recent contact form send times by client IP
+const contactSends = new Map();
+
+// The stand-in marks orders paid without charging anyone, so it's never a fallback
+const useMock = process.env.PAYSTACK_MOCK === '1';
+if (!useMock && !Paystack.secretKey) {
+    console.error('PAYSTACK_SECRET_KEY is not set. Set it, or set PAYSTACK_MOCK=1 to test with the local stand-in.');
+    process.exit(1);
+}
+const paystack = useMock ? PaystackMock : Paystack;
+PaystackMock.siteUrl = SITE_URL;
+
+const CONTENT_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.ico': 'image/x-icon',
+    '.txt': 'text/plain; charset=utf-8',
+    '.xml': 'application/xml; charset=utf-8',
+    '.pdf': 'application/pdf'
+};
+
+/**
+ * Generate a payment reference in the storefront's KK_ format
+ * @returns {string} Reference
+ */
+function generateReference() {
+    const alphabet = '0123456789abcdefghijklmnopqrstuvwxyz';
+    let suffix = '';
+    for (let i = 0; i < 9; i++) {
+        suffix += alphabet[crypto.randomInt(alphabet.length)];
+    }
+    return `KK_${Date.now()}_${suffix}`;
+}
+
+/**
+ * Generate a return (RMA) number, e.g. RMA-7K2Q9XWD
+ * @returns {string} RMA number
+ */
+function generateRmaNumber() {
+    const alphabet = '0123456789ABCDEFGHJKLMNPQRSTUVWXYZ';
+    let suffix = '';
+    for (let i = 0; i < 8; i++) {
+        suffix += alphabet[crypto.randomInt(alphabet.length)];
+    }
+    return `RMA-${suffix}`;
+}
+
+/**
+ * Read the raw request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Buffer>} Body
+ */
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new HttpError(413, 'Request too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Parse a JSON request body
+ * @param {Buffer} body - Raw body
+ * @returns {Object} Parsed body
+ */
+function parseJson(body) {
+    try {
+        return JSON.parse(body.toString('utf8') || '{}');
+    } catch (error) {
+        throw new HttpError(400, 'Invalid JSON');
+    }
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - Status code
+ * @param {Object} data - Response body
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+/**
+ * Apply a Paystack transaction to its order
+ * Only marks the order paid when the amount and currency match what we charged
+ * @param {Object} order - Stored order
+ * @param {Object} transaction - Paystack transaction
+ * @returns {Object} Updated order
+ */
+function applyTransaction(order, transaction) {
+    if (order.status === 'paid') {
+        return order;
+    }
+
+    if (transaction.status === 'failed') {
+        return Orders.update(order.reference, { status: 'failed' });
+    }
+
+    if (transaction.status !== 'success') {
+        return order;
+    }
+
+    const expectedAmount = Math.round(order.total * 100);
+    if (transaction.amount !== expectedAmount || transaction.currency !== order.currency) {
+        console.error(`Payment mismatch for ${order.reference}: expected ${expectedAmount} ${order.currency}, got ${transaction.amount} ${transaction.currency}`);
+        return Orders.update(order.reference, {
+            status: 'review',
+            statusNote: 'Amount paid does not match the order total'
+        });
+    }
+
+    return Orders.update(order.reference, {
+        status: 'paid',
+        paidAt: transaction.paid_at || new Date().toISOString(),
+        invoiceNumber: Orders.nextInvoiceNumber(),
+        paystack: {
+            id: transaction.id,
+            channel: transaction.channel,
+            amount: transaction.amount,
+            currency: transaction.currency
+        }
+    });
+}
+
+/**
+ * POST /api/checkout/initialize
+ * Re-prices the cart from the catalog and starts a Paystack transaction
+ */
+async function initializeCheckout(req, res) {
+    const request = parseJson(await readBody(req));
+    const orderData = await Catalog.priceOrder(request);
+    const reference = generateReference();
+    const customer = orderData.customer;
+
+    const transaction = await paystack.initialize({
+        email: customer.email,
+        amount: Math.round(orderData.total * 100),
+        currency: orderData.currency,
+        reference: reference,
+        callback_url: `${SITE_URL}/success.html`,
+        metadata: {
+            cancel_action: `${SITE_URL}/checkout.html`,
+            custom_fields: [
+                { display_name: 'Customer Name', variable_name: 'customer_name', value: `${customer.firstName} ${customer.lastName}` },
+                { display_name: 'Phone', variable_name: 'phone', value: customer.phone },
+                { display_name: 'Shipping Address', variable_name: 'shipping_address', value: `${customer.address}, ${customer.city}, ${customer.state}` },
+                { display_name: 'Order Notes', variable_name: 'order_notes', value: customer.notes || 'None' },
+                { display_name: 'Discount Code', variable_name: 'discount_code', value: orderData.promoCode || 'None' }
+            ],
+            order_items: orderData.items.map(item =>
+                `${item.sku ? `${item.sku} ` : ''}${item.name} (${item.size}/${item.color}) x${item.quantity}`
+            ).join(', '),
+            discount_code: orderData.promoCode,
+            discount_amount: orderData.discount
+        }
+    });
+
+    Orders.create({
+        ...orderData,
+        reference: reference,
+        status: 'pending',
+        createdAt: new Date().toISOString()
+    });
+
+    sendJson(res, 200, {
+        reference: reference,
+        authorizationUrl: transaction.authorization_url,
+        accessCode: transaction.access_code,
+        total: orderData.total,
+        currency: orderData.currency
+    });
+}
+
+/**
+ * GET /api/orders/:reference
+ * Returns an order, verifying pending payments with Paystack first
+ */
+async function getOrder(req, res, reference) {
+    const { UI } = Catalog.getValidators();
+    let order = UI.isValidOrderReference(reference) ? Orders.get(reference) : null;
+    if (!order) {
+        throw new HttpError(404, 'Order not found');
+    }
+
+    if (order.status === 'pending') {
+        try {
+            order = applyTransaction(order, await paystack.verify(reference));
+        } catch (error) {
+            console.error(`Error verifying ${reference}:`, error.message);
+        }
+    }
+
+    sendJson(res, 200, Orders.toPublic(order));
+}
+
+/**
+ * POST /api/orders/:reference/cancel
+ * Closes a pending order the customer chose not to pay, e.g. after checkout showed
+ * them a new total. A payment that still comes in is recorded as usual.
+ */
+async function cancelOrder(req, res, reference) {
+    const { UI } = Catalog.getValidators();
+    let order = UI.isValidOrderReference(reference) ? Orders.get(reference) : null;
+    if (!order) {
+        throw new HttpError(404, 'Order not found');
+    }
+
+    if (order.status === 'pending') {
+        order = Orders.update(reference, { status: 'failed', statusNote: 'Cancelled at checkout' });
+    }
+
+    sendJson(res, 200, Orders.toPublic(order));
+}
+
+/**
+ * Find the order a customer is asking about
+ * Wrong references and wrong emails get the same answer so references can't be probed.
+ * @param {Object} request - { reference, email }
+ * @returns {Object} Stored order
+ */
+function findCustomerOrder(request) {
+    const { UI } = Catalog.getValidators();
+    const reference = UI.normalizeOrderReference(request.reference);
+    const email = String(request.email || '').trim().toLowerCase();
+
+    if (!UI.isValidOrderReference(reference) || !UI.isValidEmail(email)) {
+        throw new HttpError(400, 'Please enter your order reference and email');
+    }
+
+    const order = Orders.get(reference);
+    if (!order || order.customer.email.toLowerCase() !== email) {
+        throw new HttpError(404, 'We couldn\'t find an order with that reference and email');
+    }
+
+    return order;
+}
+
+/**
+ * POST /api/orders/lookup
+ * Returns an order's tracking details when the reference and email match
+ */
+async function lookupOrder(req, res) {
+    const order = findCustomerOrder(parseJson(await readBody(req)));
+    sendJson(res, 200, Orders.toTracking(order));
+}
+
+/**
+ * GET /api/orders/:reference/invoice(.pdf)?email=
+ * Returns a paid order's invoice as printable HTML, or as a PDF download
+ */
+async function getInvoice(req, res, reference, format) {
+    const { searchParams } = new URL(req.url, SITE_URL);
+    let order = findCustomerOrder({ reference: reference, email: searchParams.get('email') });
+    if (order.status !== 'paid') {
+        throw new HttpError(404, 'There is no invoice for this order until it has been paid');
+    }
+
+    // Orders paid before invoices were numbered get the next number
+    if (!order.invoiceNumber) {
+        order = Orders.update(order.reference, { invoiceNumber: Orders.nextInvoiceNumber() });
+    }
+
+    const { Invoice } = Catalog.getValidators();
+    const invoice = Invoice.build(order);
+
+    if (format === '.pdf') {
+        res.writeHead(200, {
+            'Content-Type': CONTENT_TYPES['.pdf'],
+            'Content-Disposition': `attachment; filename="${Invoice.getFileName(invoice)}"`
+        });
+        res.end(Buffer.from(Invoice.toPdf(invoice), 'latin1'));
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES['.html'] });
+    res.end(Invoice.renderDocument(invoice));
+}
+
+/**
+ * POST /api/returns/lookup
+ * Returns what can be returned from an order, checked against the return policy
+ */
+async function lookupReturn(req, res) {
+    const order = findCustomerOrder(parseJson(await readBody(req)));
+    const { Returns } = await Catalog.load();
+
+    sendJson(res, 200, Returns.describeOrder(order, ReturnRequests.forOrder(order.reference)));
+}
+
+/**
+ * POST /api/returns
+ * Validates a return request against the policy and stores it under a new RMA number
+ */
+async function createReturn(req, res) {
+    const request = parseJson(await readBody(req));
+    const order = findCustomerOrder(request);
+    const { Returns } = await Catalog.load();
+
+    const description = Returns.describeOrder(order, ReturnRequests.forOrder(order.reference));
+    const result = Returns.validate(request, description);
+    if (result.errors.length > 0) {
+        throw new HttpError(400, result.errors[0]);
+    }
+
+    const stored = ReturnRequests.create({
+        rma: generateRmaNumber(),
+        reference: order.reference,
+        customer: {
+            name: `${order.customer.firstName} ${order.customer.lastName}`,
+            email: order.customer.email,
+            phone: order.customer.phone
+        },
+        items: result.items,
+        comments: result.comments,
+        status: 'requested',
+        createdAt: new Date().toISOString()
+    });
+
+    console.log(`Return ${stored.rma} for ${stored.reference}: ${stored.items.map(line =>
+        `${line.name} (${line.size}/${line.color}) x${line.quantity} ${line.type}`).join(', ')}`);
+
+    sendJson(res, 200, {
+        rma: stored.rma,
+        reference: stored.reference,
+        items: stored.items,
+        createdAt: stored.createdAt
+    });
+}
+
+/**
+ * POST /api/paystack/webhook
+ * Receives Paystack events; only signed charge.success events are acted on
+ */
+async function handleWebhook(req, res) {
+    const body = await readBody(req);
+    if (!paystack.isValidSignature(body, req.headers['x-paystack-signature'])) {
+        throw new HttpError(401, 'Invalid signature');
+    }
+
+    const event = parseJson(body);
+    if (event.event === 'charge.success' && event.data) {
+        const order = Orders.get(event.data.reference);
+        if (order) {
+            applyTransaction(order, event.data);
+        } else {
+            console.error(`Webhook for unknown reference ${event.data.reference}`);
+        }
+    }
+
+    // Always acknowledge so Paystack doesn't keep retrying
+    sendJson(res, 200, { received: true });
+}
+
+/**
+ * Get the client's IP address
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string} IP address
+ */
+function getClientIp(req) {
+    const forwarded = TRUST_PROXY && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+/**
+ * POST /api/contact
+ * Validates a contact form message with the storefront's rules and stores it.
+ * Honeypot submissions get the same response as real ones but are dropped.
+ */
+async function handleContact(req, res) {
+    const { Contact } = Catalog.getValidators();
+    const data = parseJson(await readBody(req));
+    const message = Contact.clean(data);
+    const errors = Object.values(Contact.validate(message));
+
+    if (errors.length > 0) {
+        throw new HttpError(400, errors[0]);
+    }
+
+    const now = Date.now();
+    contactSends.forEach((sent, ip) => {
+        const recent = Contact.recentSends(sent, now);
+        if (recent.length > 0) {
+            contactSends.set(ip, recent);
+        } else {
+            contactSends.delete(ip);
+        }
+    });
+
+    const ip = getClientIp(req);
+    const sent = contactSends.get(ip) || [];
+    const wait = Contact.getWaitMinutes(sent, now);
+    if (wait > 0) {
+        throw new HttpError(429, Contact.getRateLimitMessage(wait));
+    }
+    contactSends.set(ip, [...sent, now]);
+
+    if (Contact.isSpam(data)) {
+        console.log(`Dropped contact message from ${ip} (honeypot filled)`);
+    } else {
+        Messages.create({ ...message, subject: Contact.SUBJECTS[message.subject], ip: ip });
+        console.log(`Contact message from ${message.email}: ${Contact.SUBJECTS[message.subject]}`);
+    }
+
+    sendJson(res, 200, { received: true });
+}
+
+/**
+ * GET/POST /paystack-mock/checkout/:accessCode
+ * The stand-in's payment page
+ */
+async function handleMockCheckout(req, res, accessCode) {
+    const transaction = PaystackMock.findByAccessCode(accessCode);
+    if (!transaction) {
+        throw new HttpError(404, 'Transaction not found');
+    }
+
+    if (req.method === 'GET') {
+        res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(PaystackMock.renderCheckout(transaction));
+        return;
+    }
+
+    const outcome = new URLSearchParams((await readBody(req)).toString('utf8')).get('outcome');
+    await PaystackMock.complete(transaction, outcome);
+
+    const callback = `${transaction.callback_url}?trxref=${transaction.reference}&reference=${transaction.reference}`;
+    res.writeHead(302, { Location: callback });
+    res.end();
+}
+
+/**
+ * Serve storefront files for local development
+ */
+function serveStatic(req, res, pathname) {
+    let relative = '';
+    try {
+        relative = decodeURIComponent(pathname === '/' ? '/index.html' : pathname);
+    } catch (error) {
+        // Malformed escapes (e.g. %E0%A4%A) can't name a file
+    }
+    const file = path.normalize(path.join(ROOT, relative));
+
+    // Only files inside the site, never the server itself or dotfiles
+    const blocked = !relative || !file.startsWith(ROOT + path.sep) ||
+        file.startsWith(path.join(ROOT, 'server') + path.sep) ||
+        relative.split('/').some(part => part.startsWith('.'));
+
+    const contentType = CONTENT_TYPES[path.extname(file).toLowerCase()];
+    if (blocked || !contentType || !fs.existsSync(file) || !fs.statSync(file).isFile()) {
+        res.writeHead(404, { 'Content-Type': CONTENT_TYPES['.html'] });
+        fs.createReadStream(path.join(ROOT, '404.html')).pipe(res);
+        return;
+    }
+
+    res.writeHead(200, { 'Content-Type': contentType });
+    fs.createReadStream(file).pipe(res);
+}
+
+const server = http.createServer(async (req, res) => {
+    const { pathname } = new URL(req.url, SITE_URL);
+
+    res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+    try {
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        if (req.method === 'POST' && pathname === '/api/checkout/initialize') {
+            await initializeCheckout(req, res);
+            return;
+        }
+
+        if (req.method === 'POST' && pathname === '/api/orders/lookup') {
+            await lookupOrder(req, res);
+            return;
+        }
+
+        if (req.method === 'POST' && pathname === '/api/returns/lookup') {
+            await lookupReturn(req, res);
+            return;
+        }
+
+        if (req.method === 'POST' && pathname === '/api/returns') {
+            await createReturn(req, res);
+            return;
+        }
+
+        const invoiceMatch = pathname.match(/^\/api\/orders\/([\w-]+)\/invoice(\.pdf)?$/);
+        if (req.method === 'GET' && invoiceMatch) {
+            await getInvoice(req, res, invoiceMatch[1], invoiceMatch[2]);
+            return;
+        }
+
+        const cancelMatch = pathname.match(/^\/api\/orders\/([\w-]+)\/cancel$/);
+        if (req.method === 'POST' && cancelMatch) {
+            await cancelOrder(req, res, cancelMatch[1]);
+            return;
+        }
+
+        const orderMatch = pathname.match(/^\/api\/orders\/([\w-]+)$/);
+        if (req.method === 'GET' && orderMatch) {
+            await getOrder(req, res, orderMatch[1]);
+            return;
+        }
+
+        if (req.method === 'POST' && pathname === '/api/contact') {
+            await handleContact(req, res);
+            return;
+        }
+
+        if (req.method === 'POST' && pathname === '/api/paystack/webhook') {
+            await handleWebhook(req, res);
+            return;
+        }
+
+        const mockMatch = pathname.match(/^\/paystack-mock\/checkout\/(\w+)$/);
+        if (useMock && mockMatch) {
+            await handleMockCheckout(req, res, mockMatch[1]);
+            return;
+        }
+
+        if (pathname.startsWith('/api/')) {
+            throw new HttpError(404, 'Not found');
+        }
+
+        if (req.method === 'GET') {
+            serveStatic(req, res, pathname);
+            return;
+        }
+
+        throw new HttpError(405, 'Method not allowed');
+    } catch (error) {
+        if (!(error instanceof HttpError)) {
+            console.error('Server error:', error);
+        }
+        if (!res.headersSent) {
+            sendJson(res, error.status || 500, { error: error instanceof HttpError ? error.message : 'Something went wrong' });
+        }
+    }
+});
+
+server.listen(PORT, () => {
+    console.log(`Kamel Kross server running at ${SITE_URL}`);
+    if (useMock) {
+        console.log('Using the local Paystack stand-in: orders are marked paid without a charge (unset PAYSTACK_MOCK for real payments)');
+    }
+});
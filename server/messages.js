@@ -0,0 +1,58 @@
+/**
+ * Message Store
+ * Persists contact form messages to a JSON file, newest last
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const Messages = {
+    file: process.env.MESSAGES_FILE || path.join(__dirname, 'data', 'messages.json'),
+    messages: null,
+
+    /**
+     * Load messages from disk on first use
+     * @returns {Array} Messages
+     */
+    load() {
+        if (this.messages) {
+            return this.messages;
+        }
+
+        try {
+            this.messages = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading messages:', error);
+            }
+            this.messages = [];
+        }
+
+        return this.messages;
+    },
+
+    /**
+     * Write messages to disk (via a temp file so a crash can't truncate the store)
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.messages, null, 2));
+        fs.renameSync(tempFile, this.file);
+    },
+
+    /**
+     * Store a new message
+     * @param {Object} message - Cleaned contact message
+     * @returns {Object} Stored message
+     */
+    create(message) {
+        const stored = { ...message, receivedAt: new Date().toISOString() };
+        this.load().push(stored);
+        this.save();
+        return stored;
+    }
+};
+
+module.exports = Messages;
@@ -0,0 +1,197 @@
+/**
+ * Order Store
+ * Persists orders to a JSON file keyed by payment reference
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Shipping steps after payment, in order
+const FULFILLMENT_STATUSES = ['packed', 'shipped', 'delivered', 'cancelled'];
+
+const Orders = {
+    file: process.env.ORDERS_FILE || path.join(__dirname, 'data', 'orders.json'),
+    orders: null,
+    loadedMtime: 0,
+    FULFILLMENT_STATUSES: FULFILLMENT_STATUSES,
+
+    /**
+     * Get when the orders file was last written
+     * @returns {number} Modified time (ms), 0 if there's no file yet
+     */
+    getMtime() {
+        try {
+            return fs.statSync(this.file).mtimeMs;
+        } catch (error) {
+            return 0;
+        }
+    },
+
+    /**
+     * Load orders from disk, again whenever the file changes
+     * (e.g. after `node server/fulfill.js` updates an order)
+     * @returns {Object} Orders keyed by reference
+     */
+    load() {
+        const mtime = this.getMtime();
+        if (this.orders && mtime === this.loadedMtime) {
+            return this.orders;
+        }
+
+        this.loadedMtime = mtime;
+        try {
+            this.orders = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading orders:', error);
+            }
+            this.orders = {};
+        }
+
+        return this.orders;
+    },
+
+    /**
+     * Write orders to disk (via a temp file so a crash can't truncate the store)
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.orders, null, 2));
+        fs.renameSync(tempFile, this.file);
+        this.loadedMtime = this.getMtime();
+    },
+
+    /**
+     * Get an order by reference
+     * @param {string} reference - Payment reference
+     * @returns {Object|null} Order or null
+     */
+    get(reference) {
+        const orders = this.load();
+        // Orders are a plain object, so "__proto__" or "constructor" mustn't reach Object.prototype
+        return Object.prototype.hasOwnProperty.call(orders, reference) ? orders[reference] : null;
+    },
+
+    /**
+     * Get all orders, newest first
+     * @returns {Array} Orders
+     */
+    all() {
+        return Object.values(this.load()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    },
+
+    /**
+     * Store a new order
+     * @param {Object} order - Order with a reference
+     * @returns {Object} Stored order
+     */
+    create(order) {
+        this.load()[order.reference] = order;
+        this.save();
+        return order;
+    },
+
+    /**
+     * Update fields on an existing order
+     * @param {string} reference - Payment reference
+     * @param {Object} changes - Fields to update
+     * @returns {Object|null} Updated order or null
+     */
+    update(reference, changes) {
+        const order = this.get(reference);
+        if (!order) return null;
+
+        Object.assign(order, changes, { updatedAt: new Date().toISOString() });
+        this.save();
+        return order;
+    },
+
+    /**
+     * Get the next invoice number (invoices are numbered in the order orders are paid)
+     * @returns {number} Invoice sequence number
+     */
+    nextInvoiceNumber() {
+        return Object.values(this.load()).reduce((max, order) => Math.max(max, order.invoiceNumber || 0), 0) + 1;
+    },
+
+    /**
+     * Strip an order down to what the customer-facing pages need
+     * Leaves out the email: it's what unlocks tracking and invoices, and this is
+     * served to anyone with the reference.
+     * @param {Object} order - Stored order
+     * @returns {Object} Public order details
+     */
+    toPublic(order) {
+        return {
+            reference: order.reference,
+            status: order.status,
+            customer: {
+                firstName: order.customer.firstName
+            },
+            items: order.items,
+            subtotal: order.subtotal,
+            discount: order.discount,
+            promoCode: order.promoCode,
+            shipping: order.shipping,
+            tax: order.tax,
+            total: order.total,
+            currency: order.currency,
+            createdAt: order.createdAt,
+            paidAt: order.paidAt || null,
+            invoiceNumber: order.invoiceNumber || null
+        };
+    },
+
+    /**
+     * Record a shipping update on a paid order
+     * @param {string} reference - Payment reference
+     * @param {Object} fulfillment - { status, courier, trackingNumber, trackingUrl, note }
+     * @returns {Object} Updated order
+     */
+    fulfill(reference, fulfillment) {
+        const order = this.get(reference);
+        if (!order) {
+            throw new Error(`No order ${reference}`);
+        }
+        if (order.status !== 'paid') {
+            throw new Error(`Order ${reference} is ${order.status}, not paid`);
+        }
+        if (!FULFILLMENT_STATUSES.includes(fulfillment.status)) {
+            throw new Error(`Status must be one of: ${FULFILLMENT_STATUSES.join(', ')}`);
+        }
+
+        const now = new Date().toISOString();
+        const changes = { ...(order.fulfillment || {}), ...fulfillment, updatedAt: now };
+
+        // The return window runs from delivery
+        if (fulfillment.status === 'delivered') {
+            changes.deliveredAt = now;
+        }
+
+        return this.update(reference, { fulfillment: changes });
+    },
+
+    /**
+     * Get what the order tracking page shows: payment status until the order
+     * ships, then the latest shipping update
+     * @param {Object} order - Stored order
+     * @returns {Object} Tracking details
+     */
+    toTracking(order) {
+        const fulfillment = (order.status === 'paid' && order.fulfillment) || {};
+
+        return {
+            ...this.toPublic(order),
+            status: fulfillment.status || order.status,
+            courier: fulfillment.courier || '',
+            trackingNumber: fulfillment.trackingNumber || '',
+            trackingUrl: fulfillment.trackingUrl || '',
+            note: fulfillment.note || '',
+            updatedAt: fulfillment.updatedAt || order.paidAt || order.createdAt
+        };
+    }
+};
+
+module.exports = Orders;
@@ -0,0 +1,139 @@
+/**
+ * Paystack Stand-in
+ * Local replacement for the Paystack API so checkout can be run end to end
+ * without real keys. Serves a fake payment page and sends signed webhooks.
+ */
+
+const crypto = require('crypto');
+const HttpError = require('./http-error');
+const Paystack = require('./paystack');
+
+const PaystackMock = {
+    secretKey: 'sk_test_local_standin',
+    siteUrl: '',
+    transactions: new Map(),
+
+    /**
+     * Start a transaction
+     * @param {Object} transaction - { email, amount (cents), currency, reference, callback_url, metadata }
+     * @returns {Promise<Object>} { authorization_url, access_code, reference }
+     */
+    async initialize(transaction) {
+        const accessCode = crypto.randomBytes(8).toString('hex');
+
+        this.transactions.set(transaction.reference, {
+            id: this.transactions.size + 1,
+            status: 'abandoned',
+            reference: transaction.reference,
+            amount: transaction.amount,
+            currency: transaction.currency,
+            channel: 'card',
+            paid_at: null,
+            customer: { email: transaction.email },
+            metadata: transaction.metadata,
+            callback_url: transaction.callback_url,
+            access_code: accessCode
+        });
+
+        return {
+            authorization_url: `${this.siteUrl}/paystack-mock/checkout/${accessCode}`,
+            access_code: accessCode,
+            reference: transaction.reference
+        };
+    },
+
+    /**
+     * Look up a transaction
+     * @param {string} reference - Payment reference
+     * @returns {Promise<Object>} Transaction
+     */
+    async verify(reference) {
+        const transaction = this.transactions.get(reference);
+        if (!transaction) {
+            throw new HttpError(404, 'Transaction not found');
+        }
+        return transaction;
+    },
+
+    /**
+     * Check a webhook's signature against the stand-in secret
+     * @param {Buffer|string} rawBody - Request body exactly as received
+     * @param {string} signature - Header value
+     * @returns {boolean}
+     */
+    isValidSignature(rawBody, signature) {
+        return Paystack.isValidSignature.call(this, rawBody, signature);
+    },
+
+    /**
+     * Find a transaction by access code
+     * @param {string} accessCode - Access code from initialize
+     * @returns {Object|null} Transaction or null
+     */
+    findByAccessCode(accessCode) {
+        return Array.from(this.transactions.values()).find(t => t.access_code === accessCode) || null;
+    },
+
+    /**
+     * Render the fake payment page
+     * @param {Object} transaction - Transaction
+     * @returns {string} HTML
+     */
+    renderCheckout(transaction) {
+        const amount = (transaction.amount / 100).toFixed(2);
+        const email = String(transaction.customer.email).replace(/[&<>"']/g, '');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Paystack Stand-in</title>
+    <style>
+        body { font-family: sans-serif; max-width: 420px; margin: 80px auto; padding: 0 20px; text-align: center; }
+        button { padding: 12px 24px; margin: 8px; font-size: 16px; cursor: pointer; }
+    </style>
+</head>
+<body>
+    <h1>Paystack Stand-in</h1>
+    <p>Local test payment for ${email}</p>
+    <p><strong>${transaction.currency} ${amount}</strong></p>
+    <p>Reference: ${transaction.reference}</p>
+    <form method="POST">
+        <button name="outcome" value="success">Pay</button>
+        <button name="outcome" value="failed">Decline</button>
+    </form>
+</body>
+</html>`;
+    },
+
+    /**
+     * Settle a transaction and notify the webhook like Paystack would
+     * @param {Object} transaction - Transaction
+     * @param {string} outcome - 'success' or 'failed'
+     * @returns {Promise<Object>} Updated transaction
+     */
+    async complete(transaction, outcome) {
+        transaction.status = outcome === 'success' ? 'success' : 'failed';
+        transaction.paid_at = outcome === 'success' ? new Date().toISOString() : null;
+
+        if (transaction.status === 'success') {
+            const body = JSON.stringify({ event: 'charge.success', data: transaction });
+            const signature = crypto.createHmac('sha512', this.secretKey).update(body).digest('hex');
+
+            try {
+                await fetch(`${this.siteUrl}/api/paystack/webhook`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'x-paystack-signature': signature },
+                    body: body
+                });
+            } catch (error) {
+                console.error('Error sending stand-in webhook:', error);
+            }
+        }
+
+        return transaction;
+    }
+};
+
+module.exports = PaystackMock;
@@ -0,0 +1,73 @@
+/**
+ * Paystack Client
+ * Talks to the Paystack API with the secret key, or to the local stand-in
+ */
+
+const crypto = require('crypto');
+const HttpError = require('./http-error');
+
+const API_URL = 'https://api.paystack.co';
+
+const Paystack = {
+    secretKey: process.env.PAYSTACK_SECRET_KEY || '',
+
+    /**
+     * Call the Paystack API
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - API path
+     * @param {Object} body - JSON body
+     * @returns {Promise<Object>} Response data
+     */
+    async request(method, endpoint, body) {
+        const response = await fetch(`${API_URL}${endpoint}`, {
+            method: method,
+            headers: {
+                'Authorization': `Bearer ${this.secretKey}`,
+                'Content-Type': 'application/json'
+            },
+            body: body ? JSON.stringify(body) : undefined
+        });
+
+        const result = await response.json().catch(() => ({}));
+        if (!response.ok || !result.status) {
+            console.error('Paystack error:', response.status, result.message);
+            throw new HttpError(502, 'Payment provider error, please try again');
+        }
+
+        return result.data;
+    },
+
+    /**
+     * Start a transaction
+     * @param {Object} transaction - { email, amount (cents), currency, reference, callback_url, metadata }
+     * @returns {Promise<Object>} { authorization_url, access_code, reference }
+     */
+    initialize(transaction) {
+        return this.request('POST', '/transaction/initialize', transaction);
+    },
+
+    /**
+     * Look up a transaction
+     * @param {string} reference - Payment reference
+     * @returns {Promise<Object>} Transaction with status, amount and currency
+     */
+    verify(reference) {
+        return this.request('GET', `/transaction/verify/${encodeURIComponent(reference)}`);
+    },
+
+    /**
+     * Check a webhook's x-paystack-signature header
+     * @param {Buffer|string} rawBody - Request body exactly as received
+     * @param {string} signature - Header value
+     * @returns {boolean}
+     */
+    isValidSignature(rawBody, signature) {
+        if (!signature || !this.secretKey) return false;
+
+        const expected = crypto.createHmac('sha512', this.secretKey).update(rawBody).digest('hex');
+        const given = Buffer.from(String(signature));
+        return given.length === expected.length && crypto.timingSafeEqual(given, Buffer.from(expected));
+    }
+};
+
+module.exports = Paystack;
@@ -0,0 +1,68 @@
+/**
+ * Return Request Store
+ * Persists return and exchange requests to a JSON file keyed by RMA number
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const ReturnRequests = {
+    file: process.env.RETURNS_FILE || path.join(__dirname, 'data', 'returns.json'),
+    requests: null,
+
+    /**
+     * Load requests from disk on first use
+     * @returns {Object} Requests keyed by RMA number
+     */
+    load() {
+        if (this.requests) {
+            return this.requests;
+        }
+
+        try {
+            this.requests = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('Error loading return requests:', error);
+            }
+            this.requests = {};
+        }
+
+        return this.requests;
+    },
+
+    /**
+     * Write requests to disk (via a temp file so a crash can't truncate the store)
+     */
+    save() {
+        fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+        const tempFile = `${this.file}.tmp`;
+        fs.writeFileSync(tempFile, JSON.stringify(this.requests, null, 2));
+        fs.renameSync(tempFile, this.file);
+    },
+
+    /**
+     * Get the requests made for an order
+     * @param {string} reference - Payment reference
+     * @returns {Array} Requests, oldest first
+     */
+    forOrder(reference) {
+        return Object.values(this.load())
+            .filter(request => request.reference === reference)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    /**
+     * Store a new request
+     * @param {Object} request - Request with an rma number
+     * @returns {Object} Stored request
+     */
+    create(request) {
+        this.load()[request.rma] = request;
+        this.save();
+        return request;
+    }
+};
+
+module.exports = ReturnRequests;
@@ -0,0 +1,182 @@
+/**
+ * Service Worker
+ * Keeps the storefront usable on flaky connections:
+ * - Pages, styles and scripts: network first, cached copy when offline, so a
+ *   page never runs against scripts from an older deploy
+ * - Other site files (logo, icons): cached copy straight away, updated in the background
+ * - Product images: cached after first view
+ * The product sheet itself is cached by Products (localStorage), and
+ * payment/API requests always go to the network.
+ */
+
+// Bump when the file list changes so old caches are cleared (cached files are
+// only used offline, so a missed bump can't mix old scripts into new pages)
+const CACHE_VERSION = 'kamelkross-v14';
+const STATIC_CACHE = `${CACHE_VERSION}-static`;
+const IMAGE_CACHE = `${CACHE_VERSION}-images`;
+const MAX_CACHED_IMAGES = 80;
+
+const PRECACHE = [
+    './',
+    'index.html',
+    'products.html',
+    'search.html',
+    'product.html',
+    'cart.html',
+    'checkout.html',
+    'success.html',
+    'contact.html',
+    'shipping.html',
+    'track.html',
+    'returns.html',
+    'size-guide.html',
+    '404.html',
+    'css/style.css',
+    'js/config.js',
+    'js/html.js',
+    'js/messages.js',
+    'js/i18n.js',
+    'js/csv.js',
+    'js/currency.js',
+    'js/products.js',
+    'js/colors.js',
+    'js/gallery.js',
+    'js/search.js',
+    'js/cart.js',
+    'js/recommendations.js',
+    'js/promotions.js',
+    'js/shipping.js',
+    'js/tax.js',
+    'js/api.js',
+    'js/contact.js',
+    'js/tracking.js',
+    'js/returns.js',
+    'js/pdf.js',
+    'js/invoice.js',
+    'js/ui.js',
+    'js/sizes.js',
+    'js/transitions.js',
+    'images/logo.jpeg',
+    'images/favicon.svg'
+];
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(STATIC_CACHE)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => !key.startsWith(CACHE_VERSION)).map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    if (url.origin === self.location.origin) {
+        if (url.pathname.includes('/api/') || url.pathname.includes('/paystack-mock/')) return;
+        event.respondWith(/\.(js|css)$/.test(url.pathname) ? networkFirst(request) : staleWhileRevalidate(request));
+        return;
+    }
+
+    if (request.destination === 'image') {
+        event.respondWith(cacheFirst(request));
+    }
+
+    // Everything else (product sheet, Paystack, fonts) goes straight to the network
+});
+
+/**
+ * Try the network, falling back to the cached copy
+ * Files are cached without their query string so product.html?id=... works offline;
+ * pages that were never cached fall back to the home page.
+ * @param {Request} request - Page, script or style request
+ * @returns {Promise<Response>}
+ */
+async function networkFirst(request) {
+    const url = new URL(request.url);
+    const key = url.origin + url.pathname;
+    const cache = await caches.open(STATIC_CACHE);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && url.origin === self.location.origin) {
+            cache.put(key, response.clone());
+        }
+        return response;
+    } catch (error) {
+        return (await cache.match(key)) ||
+            (request.mode === 'navigate' && await cache.match(new URL('index.html', self.registration.scope).href)) ||
+            Response.error();
+    }
+}
+
+/**
+ * Respond from the cache and refresh it in the background
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(STATIC_CACHE);
+    const cached = await cache.match(request);
+
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok) {
+                cache.put(request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+
+    return cached || network;
+}
+
+/**
+ * Respond from the cache, fetching and caching on a miss
+ * @param {Request} request - Image request
+ * @returns {Promise<Response>}
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+
+    try {
+        const response = await fetch(request);
+        // Cross-origin images come back opaque; they're still worth keeping
+        if (response.ok || response.type === 'opaque') {
+            await cache.put(request, response.clone());
+            trimCache(cache, MAX_CACHED_IMAGES);
+        }
+        return response;
+    } catch (error) {
+        return Response.error();
+    }
+}
+
+/**
+ * Delete the oldest entries once a cache grows past its limit
+ * @param {Cache} cache - Cache to trim
+ * @param {number} maxEntries - Entries to keep
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - maxEntries)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,297 @@
+/**
+ * Rendering Tests
+ * Hostile catalog, cart and checkout values must come out of the renderers as inert text.
+ * Run with: node --test test/
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const test = require('node:test');
+const vm = require('vm');
+
+const ROOT = path.join(__dirname, '..');
+
+// Loaded in the same order as the <script> tags on the storefront pages
+const SCRIPTS = [
+    'js/config.js',
+    'js/html.js',
+    'js/messages.js',
+    'js/i18n.js',
+    'js/csv.js',
+    'js/currency.js',
+    'js/products.js',
+    'js/colors.js',
+    'js/search.js',
+    'js/cart.js',
+    'js/promotions.js',
+    'js/shipping.js',
+    'js/tax.js',
+    'js/ui.js'
+];
+
+const HOSTILE = '"><img src=x onerror=alert(1)>';
+const ESCAPED = '&quot;&gt;&lt;img src=x onerror=alert(1)&gt;';
+
+/**
+ * Create a fake element that records its markup and listeners
+ * Elements found inside it are created on first use and kept.
+ * @returns {Object} Element
+ */
+function createElement() {
+    const found = {};
+
+    return {
+        className: '',
+        innerHTML: '',
+        textContent: '',
+        style: {},
+        dataset: {},
+        children: [],
+        listeners: {},
+        classList: { add() {}, remove() {}, toggle() {}, contains: () => false },
+        appendChild(child) {
+            this.children.push(child);
+        },
+        querySelector(selector) {
+            found[selector] = found[selector] || createElement();
+            return found[selector];
+        },
+        querySelectorAll: () => [],
+        addEventListener(type, listener) {
+            this.listeners[type] = listener;
+        },
+        setAttribute() {},
+        focus() {},
+        remove() {}
+    };
+}
+
+/**
+ * Run the storefront modules in a sandbox with just enough of a DOM for toasts
+ * @returns {Object} { Html, Products, Cart, UI, toasts }
+ */
+function createModules() {
+    const toasts = createElement();
+    const noop = () => {};
+
+    const context = vm.createContext({
+        console,
+        setTimeout,
+        clearTimeout,
+        document: {
+            addEventListener: noop,
+            createElement: createElement,
+            querySelector: selector => (selector === '.toast-container' ? toasts : null),
+            querySelectorAll: () => []
+        },
+        localStorage: {
+            getItem: () => null,
+            setItem: noop,
+            removeItem: noop
+        }
+    });
+
+    SCRIPTS.forEach(file => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, file), 'utf8'), context, { filename: file });
+    });
+
+    return { ...vm.runInContext('({ Html, Products, Cart, UI })', context), toasts: toasts };
+}
+
+/**
+ * Run a storefront page's scripts, inline controller included, against a fake DOM
+ * ready() runs the controller's DOMContentLoaded handlers (not the shared modules').
+ * @param {string} file - Page, e.g. 'product.html'
+ * @param {Object} session - sessionStorage contents
+ * @returns {Object} { context, ready, getElement, opened } (opened: documents opened from a blob)
+ */
+function createPage(file, session = {}) {
+    const page = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    const sources = Array.from(page.matchAll(/<script src="(js\/[\w-]+\.js)"><\/script>/g), match => match[1]);
+    const inline = Array.from(page.matchAll(/<script>([\s\S]*?)<\/script>/g)).pop()[1];
+
+    const elements = {};
+    const getElement = id => {
+        elements[id] = elements[id] || createElement();
+        return elements[id];
+    };
+    const loaded = [];
+    const opened = [];
+    const noop = () => {};
+    const storage = values => ({
+        getItem: key => (key in values ? values[key] : null),
+        setItem: (key, value) => {
+            values[key] = String(value);
+        },
+        removeItem: key => {
+            delete values[key];
+        }
+    });
+
+    const context = vm.createContext({
+        console,
+        setTimeout: noop,
+        clearTimeout: noop,
+        URLSearchParams,
+        Blob: class {
+            constructor(parts) {
+                this.text = parts.join('');
+            }
+        },
+        URL: {
+            createObjectURL: blob => {
+                opened.push(blob.text);
+                return 'blob:invoice';
+            }
+        },
+        window: {
+            location: { search: '', pathname: `/${file}`, hostname: 'localhost' },
+            addEventListener: noop,
+            open: noop
+        },
+        document: {
+            title: '',
+            documentElement: { style: { setProperty: noop } },
+            body: createElement(),
+            addEventListener: (type, listener) => {
+                if (type === 'DOMContentLoaded') loaded.push(listener);
+            },
+            createElement: createElement,
+            getElementById: getElement,
+            querySelector: getElement,
+            querySelectorAll: () => []
+        },
+        localStorage: storage({}),
+        sessionStorage: storage(session)
+    });
+
+    sources.forEach(script => {
+        vm.runInContext(fs.readFileSync(path.join(ROOT, script), 'utf8'), context, { filename: script });
+    });
+    const shared = loaded.length;
+    vm.runInContext(inline, context, { filename: file });
+
+    return {
+        context: context,
+        ready: () => loaded.slice(shared).forEach(listener => listener()),
+        getElement: getElement,
+        opened: opened
+    };
+}
+
+/**
+ * Assert markup shows the hostile value as text and never as a tag
+ * @param {string} html - Rendered markup
+ */
+function assertInert(html) {
+    assert.ok(!html.includes('<img src=x'), `hostile markup was rendered: ${html}`);
+    assert.ok(html.includes(ESCAPED), `hostile value wasn't shown escaped: ${html}`);
+}
+
+// A sheet row as Products.parseRows reads it, with hostile values in every text column
+const PRODUCT_ROWS = [
+    ['id', 'name', 'category', 'price', 'sizes', 'colors', 'image', 'images', 'stock', 'in_stock'],
+    ['tee-1', HOSTILE, HOSTILE, '350', `${HOSTILE}, M`, `${HOSTILE}, Black`, 'javascript:alert(1)', HOSTILE, '', 'yes']
+];
+
+const item = {
+    id: 'tee-1',
+    name: HOSTILE,
+    size: HOSTILE,
+    color: HOSTILE,
+    price: 350,
+    quantity: 1,
+    image: 'javascript:alert(1)'
+};
+
+test('Products.renderCard escapes catalog values', () => {
+    const { Products } = createModules();
+    const [product] = Products.parseRows(PRODUCT_ROWS);
+    const html = String(Products.renderCard(product));
+
+    assertInert(html);
+    assert.ok(html.includes(`alt="${ESCAPED}"`));
+    assert.ok(!html.includes('javascript:'));
+});
+
+test('Cart.renderItem escapes cart values', () => {
+    const { Cart } = createModules();
+    const html = String(Cart.renderItem(item, 0));
+
+    assertInert(html);
+    assert.ok(!html.includes('javascript:'));
+});
+
+test('UI.toast escapes its message', () => {
+    const { UI, toasts } = createModules();
+    UI.toast(`${HOSTILE} added to cart`, 'success', 0);
+
+    assert.strictEqual(toasts.children.length, 1);
+    assertInert(String(toasts.children[0].innerHTML));
+});
+
+test('Html.url drops script URLs', () => {
+    const { Html } = createModules();
+
+    ['javascript:alert(1)', ' JavaScript:alert(1)', 'java\tscript:alert(1)', 'data:text/html,<script>alert(1)</script>']
+        .forEach(url => assert.strictEqual(Html.url(url), '', url));
+
+    ['https://example.com/a.jpg', 'images/logo.jpeg', 'mailto:hello@example.com', 'tel:+27210000000']
+        .forEach(url => assert.strictEqual(Html.url(url), url, url));
+
+    assert.strictEqual(String(Html.html`<a href="${Html.url('javascript:alert(1)')}">x</a>`), '<a href="">x</a>');
+});
+
+test('Cart.renderOrderItem escapes order values', () => {
+    const { Cart } = createModules();
+    const html = String(Cart.renderOrderItem(item));
+
+    assertInert(html);
+    assert.ok(html.includes(`alt="${ESCAPED}"`));
+    assert.ok(!html.includes('javascript:'));
+});
+
+test('product page escapes sizes, color swatches and thumbnails', () => {
+    const { context, getElement } = createPage('product.html');
+    context.rows = PRODUCT_ROWS;
+    vm.runInContext(`
+        currentProduct = Products.parseRows(rows)[0];
+        Gallery.init(document.getElementById('product-gallery'));
+        renderProduct();
+    `, context);
+
+    assertInert(String(getElement('size-options').innerHTML));
+
+    const swatches = String(getElement('color-options').innerHTML);
+    assertInert(swatches);
+    assert.ok(swatches.includes(`data-color="${ESCAPED}"`));
+    assert.ok(swatches.includes(`title="${ESCAPED}"`));
+
+    const thumbnails = String(getElement('product-gallery').querySelector('.product-thumbnails').innerHTML);
+    assertInert(thumbnails);
+    assert.ok(!thumbnails.includes('javascript:'));
+});
+
+test('success page escapes the order and customer checkout stored', () => {
+    const order = {
+        reference: HOSTILE,
+        customer: { firstName: HOSTILE, lastName: HOSTILE, email: HOSTILE, address: HOSTILE, city: HOSTILE },
+        items: [{ ...item, sku: HOSTILE }],
+        subtotal: 350,
+        discount: 0,
+        shipping: 0,
+        total: 350,
+        currency: 'ZAR'
+    };
+    const { ready, getElement, opened } = createPage('success.html', { kamelkross_order: JSON.stringify(order) });
+    ready();
+
+    assertInert(String(getElement('order-items-summary').innerHTML));
+    assert.strictEqual(getElement('customer-email').textContent, HOSTILE);
+    assert.strictEqual(getElement('order-ref').textContent, HOSTILE);
+
+    getElement('view-invoice').listeners.click({ preventDefault() {} });
+    assert.strictEqual(opened.length, 1);
+    assertInert(opened[0]);
+});